@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Generar src/data/cpv-45.json (código y etiqueta en español) a partir del
+ * fichero XML oficial del CPV 2008 que publica la Oficina de Publicaciones
+ * de la UE (SIMAP / EU Vocabularies): todos los códigos de la división 45.
+ *
+ * Uso:
+ *   descargar cpv_2008_xml.zip de https://simap.ted.europa.eu/cpv y descomprimirlo
+ *   npm run build:cpv -- cpv_2008.xml
+ */
+const [xmlPath] = process.argv.slice(2);
+
+if (!xmlPath) {
+  console.error('Uso: npm run build:cpv -- <cpv_2008.xml>');
+  process.exit(1);
+}
+
+const decodeEntities = text => text
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// <CPV CODE="45000000-7"><TEXT LANG="ES">Trabajos de construcción</TEXT>...</CPV>
+const xml = fs.readFileSync(xmlPath, 'utf-8');
+const codes = new Map();
+
+for (const [, code, body] of xml.matchAll(/<CPV\s+CODE="(\d{8})-\d"\s*>([\s\S]*?)<\/CPV>/g)) {
+  if (!code.startsWith('45')) continue;
+
+  const label = body.match(/<TEXT\s+LANG="ES"\s*>([\s\S]*?)<\/TEXT>/)?.[1];
+  if (!label) {
+    console.error(`Código sin etiqueta en español: ${code}`);
+    process.exit(1);
+  }
+
+  codes.set(code, decodeEntities(label.trim()));
+}
+
+if (!codes.has('45000000')) {
+  console.error(`No se ha encontrado la división 45 en ${xmlPath}`);
+  process.exit(1);
+}
+
+const rows = [...codes.entries()].sort(([a], [b]) => a.localeCompare(b));
+
+const output = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/data/cpv-45.json');
+
+const lines = [
+  '{',
+  '"source": "Vocabulario común de contratos públicos (CPV 2008, Reglamento (CE) n.º 213/2008), división 45",',
+  '"fields": ["code", "label"],',
+  '"codes": [',
+  rows.map(row => JSON.stringify(row).replace(/","/, '", "')).join(',\n'),
+  ']',
+  '}'
+];
+
+fs.writeFileSync(output, `${lines.join('\n')}\n`);
+console.log(`✅ ${rows.length} códigos CPV de la división 45 → ${output}`);
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Generar src/data/municipalities.json a partir de dos fuentes oficiales:
+ * - Relación de municipios del INE (código de 5 dígitos = provincia + municipio
+ *   y nombre oficial): https://www.ine.es/daco/daco42/codmun/diccionario.xlsx,
+ *   guardada como CSV (columnas CPRO, CMUN y NOMBRE)
+ * - Códigos postales de GeoNames (CC BY 4.0): ES.txt de
+ *   https://download.geonames.org/export/zip/ES.zip. Cada fila trae el código
+ *   INE del municipio (admin code 3) y las coordenadas de la localidad
+ *
+ * El centroide de cada código postal es la media de sus localidades y el de
+ * cada municipio, la de las localidades con su código INE.
+ *
+ * Uso:
+ *   npm run build:municipalities -- diccionario.csv ES.txt
+ */
+const [inePath, postalPath] = process.argv.slice(2);
+
+if (!inePath || !postalPath) {
+  console.error('Uso: npm run build:municipalities -- <diccionario.csv> <ES.txt>');
+  process.exit(1);
+}
+
+const round = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Acumular coordenadas para sacar la media
+ * @param {Map} sums
+ * @param {string} key
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {Object} - { lat, lon, count }
+ */
+function addPoint(sums, key, lat, lon) {
+  const sum = sums.get(key) || { lat: 0, lon: 0, count: 0 };
+  sum.lat += lat;
+  sum.lon += lon;
+  sum.count++;
+  sums.set(key, sum);
+  return sum;
+}
+
+const centroid = sum => [round(sum.lat / sum.count), round(sum.lon / sum.count)];
+
+// Registro del INE: la cabecera puede no ser la primera fila (el xlsx trae un título)
+const names = new Map();
+let columns = null;
+
+for (const line of fs.readFileSync(inePath, 'utf-8').replace(/^﻿/, '').split(/\r?\n/)) {
+  if (!line.trim()) continue;
+
+  const delimiter = [';', '\t', ','].find(candidate => line.includes(candidate)) || ',';
+  const cells = line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+  if (!columns) {
+    const upper = cells.map(cell => cell.toUpperCase());
+    if (upper.includes('CPRO') && upper.includes('CMUN') && upper.includes('NOMBRE')) {
+      columns = { cpro: upper.indexOf('CPRO'), cmun: upper.indexOf('CMUN'), name: upper.indexOf('NOMBRE') };
+    }
+    continue;
+  }
+
+  const cpro = cells[columns.cpro];
+  const cmun = cells[columns.cmun];
+  if (!/^\d{1,2}$/.test(cpro) || !/^\d{1,3}$/.test(cmun)) continue;
+
+  names.set(`${cpro.padStart(2, '0')}${cmun.padStart(3, '0')}`, cells[columns.name]);
+}
+
+if (names.size === 0) {
+  console.error(`No se han encontrado municipios (columnas CPRO, CMUN y NOMBRE) en ${inePath}`);
+  process.exit(1);
+}
+
+// Códigos postales de GeoNames: país, código postal, localidad, admin1 (nombre,
+// código), admin2 (nombre, código), admin3 (nombre, código INE), lat, lon, precisión
+const municipalitySums = new Map();
+const postalSums = new Map();
+const postalMunicipalities = new Map();
+let unknown = 0;
+
+for (const line of fs.readFileSync(postalPath, 'utf-8').split(/\r?\n/)) {
+  const cells = line.split('\t');
+  if (cells[0] !== 'ES') continue;
+
+  const [, postalCode, , , , , , , ine, latText, lonText] = cells;
+  const lat = parseFloat(latText);
+  const lon = parseFloat(lonText);
+  if (!/^\d{5}$/.test(postalCode) || Number.isNaN(lat) || Number.isNaN(lon)) continue;
+
+  if (!names.has(ine)) {
+    unknown++;
+    continue;
+  }
+
+  addPoint(municipalitySums, ine, lat, lon);
+  addPoint(postalSums, postalCode, lat, lon);
+
+  // Municipio del código postal: el que más localidades tiene en él
+  const counts = postalMunicipalities.get(postalCode) || new Map();
+  counts.set(ine, (counts.get(ine) || 0) + 1);
+  postalMunicipalities.set(postalCode, counts);
+}
+
+const municipalities = [...names.entries()]
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([ine, name]) => {
+    const sum = municipalitySums.get(ine);
+    return sum ? [ine, name, ...centroid(sum)] : [ine, name, null, null];
+  });
+
+const postalCodes = [...postalSums.entries()]
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([postalCode, sum]) => {
+    const [ine] = [...postalMunicipalities.get(postalCode).entries()].sort((a, b) => b[1] - a[1])[0];
+    return [postalCode, ine, ...centroid(sum)];
+  });
+
+// Centroide aproximado de cada provincia (media de sus municipios)
+const provinceSums = new Map();
+
+for (const [ine, , lat, lon] of municipalities) {
+  if (lat !== null) addPoint(provinceSums, ine.slice(0, 2), lat, lon);
+}
+
+const provinces = Object.fromEntries(
+  [...provinceSums.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([ine, sum]) => [ine, centroid(sum)])
+);
+
+const output = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/data/municipalities.json');
+
+const lines = [
+  '{',
+  '"source": "INE, Relación de municipios (https://www.ine.es) y GeoNames postal codes (CC BY 4.0, https://www.geonames.org)",',
+  '"fields": ["ine", "name", "lat", "lon"],',
+  '"postal_code_fields": ["postal_code", "ine", "lat", "lon"],',
+  `"provinces": ${JSON.stringify(provinces)},`,
+  '"municipalities": [',
+  municipalities.map(row => JSON.stringify(row)).join(',\n'),
+  '],',
+  '"postal_codes": [',
+  postalCodes.map(row => JSON.stringify(row)).join(',\n'),
+  ']',
+  '}'
+];
+
+fs.writeFileSync(output, `${lines.join('\n')}\n`);
+
+const withoutPoint = municipalities.filter(([, , lat]) => lat === null).length;
+console.log(`✅ ${municipalities.length} municipios (${withoutPoint} sin coordenadas), ` +
+  `${postalCodes.length} códigos postales en ${Object.keys(provinces).length} provincias → ${output}`);
+
+if (unknown > 0) {
+  console.warn(`⚠️ ${unknown} filas de códigos postales con un código INE que no está en el registro`);
+}
+
+// Comprobar el fichero generado con el geocoder (sale con error si falla)
+await import('./check-municipalities.js');
@@ -0,0 +1,33 @@
+import { geocode } from '../src/utils/geocoder.js';
+
+/**
+ * Comprobar que src/data/municipalities.json geocodifica por código postal:
+ * códigos postales conocidos → precisión 'postal_code' y código INE de su
+ * municipio. Lo ejecuta build-municipalities.js al terminar.
+ *
+ * Uso:
+ *   npm run check:municipalities
+ */
+const KNOWN_POSTAL_CODES = [
+  { postalCode: '28001', municipalityCode: '28079' }, // Madrid
+  { postalCode: '08001', municipalityCode: '08019' }, // Barcelona
+  { postalCode: '41001', municipalityCode: '41091' }, // Sevilla
+  { postalCode: '28801', municipalityCode: '28005' } // Alcalá de Henares
+];
+
+const failures = KNOWN_POSTAL_CODES
+  .map(({ postalCode, municipalityCode }) => ({ postalCode, municipalityCode, result: geocode({ postalCode }) }))
+  .filter(({ municipalityCode, result }) =>
+    result.geo_precision !== 'postal_code' || result.municipality_code !== municipalityCode);
+
+for (const { postalCode, municipalityCode, result } of failures) {
+  console.error(`❌ ${postalCode}: esperado postal_code / ${municipalityCode}, ` +
+    `obtenido ${result.geo_precision} / ${result.municipality_code}`);
+}
+
+if (failures.length > 0) {
+  console.error('El dataset de municipios no geocodifica por código postal: npm run build:municipalities -- <diccionario.csv> <ES.txt>');
+  process.exit(1);
+}
+
+console.log(`✅ ${KNOWN_POSTAL_CODES.length} códigos postales geocodificados con su código INE`);
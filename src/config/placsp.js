@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { provinces } from './provinces.js';
 
 dotenv.config();
 
@@ -7,8 +8,21 @@ export const placspConfig = {
   // URL del feed ATOM oficial
   atomFeedUrl: 'https://contrataciondelsectorpublico.gob.es/sindicacion/sindicacion_643/licitacionesPerfilesContratanteCompleto3.atom',
   
-  // Límite de entradas a procesar por sync
+  // Límite de entradas a procesar en la primera sync (sin cursor guardado)
   maxEntriesToProcess: 500,
+
+  // Tope de seguridad de páginas a recorrer siguiendo los enlaces rel="next"
+  maxPagesPerSync: parseInt(process.env.PLACSP_MAX_PAGES) || 50,
+
+  // Tamaño de los lotes de entradas que se filtran y guardan a la vez
+  batchSize: parseInt(process.env.SYNC_BATCH_SIZE) || 100,
+
+  // Filas por upsert a Supabase al guardar cada lote
+  upsertChunkSize: parseInt(process.env.SYNC_UPSERT_CHUNK_SIZE) || 50,
+
+  // Límites de presupuesto sin impuestos (null = sin límite)
+  minBudget: parseFloat(process.env.MIN_BUDGET) || null,
+  maxBudget: parseFloat(process.env.MAX_BUDGET) || null,
   
   // Códigos CPV de construcción (División 45)
   constructionCPVs: [
@@ -45,18 +59,50 @@ export const placspConfig = {
     'revestimiento', 'impermeabilización', 'tabiquería'
   ],
 
-  // Mapa de provincias españolas (para normalizar)
-  provincias: [
-    'Álava', 'Albacete', 'Alicante', 'Almería', 'Asturias', 'Ávila',
-    'Badajoz', 'Barcelona', 'Burgos', 'Cáceres', 'Cádiz', 'Cantabria',
-    'Castellón', 'Ciudad Real', 'Córdoba', 'Cuenca', 'Gerona', 'Granada',
-    'Guadalajara', 'Guipúzcoa', 'Huelva', 'Huesca', 'Islas Baleares',
-    'Jaén', 'La Coruña', 'La Rioja', 'Las Palmas', 'León', 'Lérida',
-    'Lugo', 'Madrid', 'Málaga', 'Murcia', 'Navarra', 'Orense', 'Palencia',
-    'Pontevedra', 'Salamanca', 'Santa Cruz de Tenerife', 'Segovia',
-    'Sevilla', 'Soria', 'Tarragona', 'Teruel', 'Toledo', 'Valencia',
-    'Valladolid', 'Vizcaya', 'Zamora', 'Zaragoza'
-  ],
+  // Provincias españolas (nombres canónicos, ver src/config/provinces.js)
+  provincias: provinces.map(p => p.name),
+
+  // Tipos de procedimiento (cac:TenderingProcess/cbc:ProcedureCode)
+  procedureTypes: {
+    '1': 'Abierto',
+    '2': 'Restringido',
+    '3': 'Negociado sin publicidad',
+    '4': 'Negociado con publicidad',
+    '5': 'Diálogo competitivo',
+    '6': 'Contrato menor',
+    '7': 'Derivado de acuerdo marco',
+    '8': 'Concurso de proyectos',
+    '9': 'Abierto simplificado',
+    '10': 'Asociación para la innovación',
+    '11': 'Derivado de asociación para la innovación',
+    '12': 'Basado en un sistema dinámico de adquisición',
+    '13': 'Licitación con negociación',
+    '100': 'Normas internas',
+    '999': 'Otros'
+  },
+
+  // Tipos de contrato (cac:ProcurementProject/cbc:TypeCode)
+  contractTypes: {
+    '1': 'Suministros',
+    '2': 'Servicios',
+    '3': 'Obras',
+    '7': 'Administrativo especial',
+    '8': 'Privado',
+    '21': 'Gestión de servicios públicos',
+    '22': 'Concesión de servicios',
+    '31': 'Concesión de obras públicas',
+    '32': 'Concesión de obras',
+    '40': 'Colaboración entre el sector público y sector privado',
+    '50': 'Patrimonial',
+    '999': 'Otros'
+  },
+
+  // Tipos de tramitación (cac:TenderingProcess/cbc:UrgencyCode)
+  urgencyTypes: {
+    '1': 'Ordinaria',
+    '2': 'Urgente',
+    '3': 'Emergencia'
+  },
 
   // Estados de licitación que nos interesan
   estadosActivos: [
@@ -0,0 +1,82 @@
+// Provincias españolas (INE) con sus códigos NUTS3 y nombres alternativos.
+//
+// - name: nombre canónico (el que se guarda en tenders.province): el oficial del
+//   INE (A Coruña, Girona, Lleida, Ourense, Gipuzkoa, Bizkaia...). En las de
+//   doble denominación (Alicante/Alacant...) va el castellano y el otro en aliases
+// - ine: código de provincia del INE (coincide con los dos primeros dígitos del código postal)
+// - nuts: códigos NUTS3 (NUTS 2016). En Canarias y Baleares hay uno por isla,
+//   y se incluyen también los códigos antiguos (ES701/ES702 y ES530)
+// - aliases: nombres cooficiales, exónimos (Gerona, Lérida...) y variantes habituales
+// - cities: capitales u otras ciudades cuyo nombre no coincide con el de la
+//   provincia (solo se usan al buscar en texto libre). Nada que se repita en
+//   otra provincia: "La Palma" solo con "isla de" (La Palma del Condado es de Huelva)
+export const provinces = [
+  { ine: '01', name: 'Álava', region: 'País Vasco', nuts: ['ES211'], aliases: ['Araba', 'Araba/Álava', 'Álava/Araba'], cities: ['Vitoria', 'Gasteiz', 'Vitoria-Gasteiz'] },
+  { ine: '02', name: 'Albacete', region: 'Castilla-La Mancha', nuts: ['ES421'], aliases: [], cities: [] },
+  { ine: '03', name: 'Alicante', region: 'Comunidad Valenciana', nuts: ['ES521'], aliases: ['Alacant', 'Alicante/Alacant'], cities: ['Elche', 'Elx'] },
+  { ine: '04', name: 'Almería', region: 'Andalucía', nuts: ['ES611'], aliases: [], cities: [] },
+  { ine: '05', name: 'Ávila', region: 'Castilla y León', nuts: ['ES411'], aliases: [], cities: [] },
+  { ine: '06', name: 'Badajoz', region: 'Extremadura', nuts: ['ES431'], aliases: [], cities: ['Mérida'] },
+  { ine: '07', name: 'Islas Baleares', region: 'Islas Baleares', nuts: ['ES532', 'ES531', 'ES533', 'ES530'], aliases: ['Illes Balears', 'Baleares', 'Balears', 'Islas Balears'], cities: ['Palma de Mallorca', 'Mallorca', 'Menorca', 'Ibiza', 'Eivissa', 'Formentera'] },
+  { ine: '08', name: 'Barcelona', region: 'Cataluña', nuts: ['ES511'], aliases: [], cities: [] },
+  { ine: '09', name: 'Burgos', region: 'Castilla y León', nuts: ['ES412'], aliases: [], cities: [] },
+  { ine: '10', name: 'Cáceres', region: 'Extremadura', nuts: ['ES432'], aliases: [], cities: [] },
+  { ine: '11', name: 'Cádiz', region: 'Andalucía', nuts: ['ES612'], aliases: [], cities: ['Jerez de la Frontera'] },
+  { ine: '12', name: 'Castellón', region: 'Comunidad Valenciana', nuts: ['ES522'], aliases: ['Castelló', 'Castellón/Castelló', 'Castellón de la Plana'], cities: [] },
+  { ine: '13', name: 'Ciudad Real', region: 'Castilla-La Mancha', nuts: ['ES422'], aliases: [], cities: [] },
+  { ine: '14', name: 'Córdoba', region: 'Andalucía', nuts: ['ES613'], aliases: [], cities: [] },
+  { ine: '15', name: 'A Coruña', region: 'Galicia', nuts: ['ES111'], aliases: ['La Coruña', 'Coruña'], cities: ['Santiago de Compostela', 'Ferrol'] },
+  { ine: '16', name: 'Cuenca', region: 'Castilla-La Mancha', nuts: ['ES423'], aliases: [], cities: [] },
+  { ine: '17', name: 'Girona', region: 'Cataluña', nuts: ['ES512'], aliases: ['Gerona'], cities: [] },
+  { ine: '18', name: 'Granada', region: 'Andalucía', nuts: ['ES614'], aliases: [], cities: [] },
+  { ine: '19', name: 'Guadalajara', region: 'Castilla-La Mancha', nuts: ['ES424'], aliases: [], cities: [] },
+  { ine: '20', name: 'Gipuzkoa', region: 'País Vasco', nuts: ['ES212'], aliases: ['Guipúzcoa'], cities: ['San Sebastián', 'Donostia', 'Donostia-San Sebastián'] },
+  { ine: '21', name: 'Huelva', region: 'Andalucía', nuts: ['ES615'], aliases: [], cities: [] },
+  { ine: '22', name: 'Huesca', region: 'Aragón', nuts: ['ES241'], aliases: [], cities: [] },
+  { ine: '23', name: 'Jaén', region: 'Andalucía', nuts: ['ES616'], aliases: [], cities: [] },
+  { ine: '24', name: 'León', region: 'Castilla y León', nuts: ['ES413'], aliases: [], cities: ['Ponferrada'] },
+  { ine: '25', name: 'Lleida', region: 'Cataluña', nuts: ['ES513'], aliases: ['Lérida'], cities: [] },
+  { ine: '26', name: 'La Rioja', region: 'La Rioja', nuts: ['ES230'], aliases: [], cities: ['Logroño'] },
+  { ine: '27', name: 'Lugo', region: 'Galicia', nuts: ['ES112'], aliases: [], cities: [] },
+  { ine: '28', name: 'Madrid', region: 'Comunidad de Madrid', nuts: ['ES300'], aliases: ['Comunidad de Madrid'], cities: [] },
+  { ine: '29', name: 'Málaga', region: 'Andalucía', nuts: ['ES617'], aliases: [], cities: ['Marbella'] },
+  { ine: '30', name: 'Murcia', region: 'Región de Murcia', nuts: ['ES620'], aliases: ['Región de Murcia'], cities: ['Cartagena'] },
+  { ine: '31', name: 'Navarra', region: 'Comunidad Foral de Navarra', nuts: ['ES220'], aliases: ['Nafarroa', 'Navarra/Nafarroa', 'Comunidad Foral de Navarra'], cities: ['Pamplona', 'Iruña', 'Pamplona/Iruña'] },
+  { ine: '32', name: 'Ourense', region: 'Galicia', nuts: ['ES113'], aliases: ['Orense'], cities: [] },
+  { ine: '33', name: 'Asturias', region: 'Principado de Asturias', nuts: ['ES120'], aliases: ['Principado de Asturias'], cities: ['Oviedo', 'Gijón', 'Xixón', 'Avilés'] },
+  { ine: '34', name: 'Palencia', region: 'Castilla y León', nuts: ['ES414'], aliases: [], cities: [] },
+  { ine: '35', name: 'Las Palmas', region: 'Canarias', nuts: ['ES705', 'ES701', 'ES704', 'ES708'], aliases: [], cities: ['Gran Canaria', 'Lanzarote', 'Fuerteventura'] },
+  { ine: '36', name: 'Pontevedra', region: 'Galicia', nuts: ['ES114'], aliases: [], cities: ['Vigo'] },
+  { ine: '37', name: 'Salamanca', region: 'Castilla y León', nuts: ['ES415'], aliases: [], cities: [] },
+  { ine: '38', name: 'Santa Cruz de Tenerife', region: 'Canarias', nuts: ['ES709', 'ES702', 'ES703', 'ES706', 'ES707'], aliases: ['S.C. Tenerife', 'Santa Cruz Tenerife'], cities: ['Tenerife', 'Isla de La Palma', 'Santa Cruz de La Palma', 'La Gomera', 'El Hierro'] },
+  { ine: '39', name: 'Cantabria', region: 'Cantabria', nuts: ['ES130'], aliases: [], cities: ['Santander', 'Torrelavega'] },
+  { ine: '40', name: 'Segovia', region: 'Castilla y León', nuts: ['ES416'], aliases: [], cities: [] },
+  { ine: '41', name: 'Sevilla', region: 'Andalucía', nuts: ['ES618'], aliases: [], cities: [] },
+  { ine: '42', name: 'Soria', region: 'Castilla y León', nuts: ['ES417'], aliases: [], cities: [] },
+  { ine: '43', name: 'Tarragona', region: 'Cataluña', nuts: ['ES514'], aliases: [], cities: ['Reus'] },
+  { ine: '44', name: 'Teruel', region: 'Aragón', nuts: ['ES242'], aliases: [], cities: [] },
+  { ine: '45', name: 'Toledo', region: 'Castilla-La Mancha', nuts: ['ES425'], aliases: [], cities: ['Talavera de la Reina'] },
+  { ine: '46', name: 'Valencia', region: 'Comunidad Valenciana', nuts: ['ES523'], aliases: ['València', 'Valencia/València'], cities: [] },
+  { ine: '47', name: 'Valladolid', region: 'Castilla y León', nuts: ['ES418'], aliases: [], cities: [] },
+  { ine: '48', name: 'Bizkaia', region: 'País Vasco', nuts: ['ES213'], aliases: ['Vizcaya'], cities: ['Bilbao', 'Bilbo', 'Barakaldo'] },
+  { ine: '49', name: 'Zamora', region: 'Castilla y León', nuts: ['ES419'], aliases: [], cities: [] },
+  { ine: '50', name: 'Zaragoza', region: 'Aragón', nuts: ['ES243'], aliases: [], cities: [] },
+  { ine: '51', name: 'Ceuta', region: 'Ceuta', nuts: ['ES630'], aliases: [], cities: [] },
+  { ine: '52', name: 'Melilla', region: 'Melilla', nuts: ['ES640'], aliases: [], cities: [] }
+];
+
+// Expresiones que contienen el nombre de una provincia pero no se refieren a
+// ella (se eliminan del texto libre antes de buscar)
+export const provinceTextNoise = [
+  'castilla y leon',
+  'cuenca hidrografica',
+  'cuencas hidrograficas',
+  'cuenca del',
+  'cuenca de',
+  'la cuenca',
+  'valencia de don juan',
+  'valencia de alcantara',
+  'rioja alavesa'
+];
+
+export default provinces;
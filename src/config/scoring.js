@@ -0,0 +1,47 @@
+// Configuración del score de matching (0-100).
+//
+// - weights: peso de cada factor. Cada factor se evalúa como una fracción
+//   entre 0 y 1 y se multiplica por su peso; si los pesos no suman 100 se
+//   reescalan, así que el score sigue siendo sobre 100
+//     location: provincia o distancia a la base del usuario
+//     budget:   presupuesto dentro del rango del usuario
+//     sector:   tipo de obra / sectores del usuario
+//     deadline: licitación abierta y con plazo amplio
+// - minScore: score mínimo para crear el match
+//
+// Prioridad: user_profiles (scoring_weights, min_match_score) > plan de
+// suscripción > valores por defecto
+export const defaultScoring = {
+  weights: {
+    location: 40,
+    budget: 30,
+    sector: 20,
+    deadline: 10
+  },
+  minScore: 60
+};
+
+// Ajustes por companies.subscription_tier, con la misma forma (parcial) que
+// defaultScoring. Los planes de pago reciben más matches (score mínimo más
+// bajo) y dan más peso al sector, que afinan con los nodos CPV
+export const tierScoring = {
+  basic: {},
+  pro: {
+    weights: { location: 35, budget: 25, sector: 30, deadline: 10 },
+    minScore: 55
+  },
+  enterprise: {
+    weights: { location: 30, budget: 25, sector: 35, deadline: 10 },
+    minScore: 50
+  }
+};
+
+// Ajuste por las valoraciones del usuario (src/services/feedback-service.js),
+// fuera de los pesos: suma o resta hasta maxPoints, con toda su fuerza a
+// partir de fullConfidenceAt valoraciones
+export const feedbackScoring = {
+  maxPoints: 15,
+  fullConfidenceAt: 10
+};
+
+export default defaultScoring;
@@ -132,6 +132,31 @@ export const supabaseHelpers = {
     if (error) throw error;
   },
 
+  // Obtener el `updated` de la última entrada del feed PLACSP sincronizada
+  async getFeedCursor() {
+    const { data, error } = await supabase
+      .from('sync_state')
+      .select('last_entry_updated')
+      .eq('source', 'placsp')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.last_entry_updated || null;
+  },
+
+  // Guardar el `updated` de la última entrada del feed PLACSP sincronizada
+  async saveFeedCursor(lastEntryUpdated) {
+    const { error } = await supabase
+      .from('sync_state')
+      .upsert({
+        source: 'placsp',
+        last_entry_updated: lastEntryUpdated,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'source' });
+
+    if (error) throw error;
+  },
+
   // Actualizar última sincronización
   async updateLastSync() {
     const { data: config } = await supabase
@@ -4,8 +4,13 @@ import { syncJob } from './jobs/sync-job.js';
 import { syncService } from './services/sync-service.js';
 import { matchingService } from './services/matching-service.js';
 import { placspAPI } from './services/placsp-api.js';
+import { contractingBodyService } from './services/contracting-body-service.js';
+import { tenderHistoryService } from './services/tender-history-service.js';
+import { savedSearchService } from './services/saved-search-service.js';
+import { feedbackService } from './services/feedback-service.js';
 import { supabase, supabaseHelpers } from './config/supabase.js';
 import { logger } from './utils/logger.js';
+import { buildCpvTree, isCpvNode, normalizeCpvCode, searchCpvNodes } from './utils/cpv-tree.js';
 
 dotenv.config();
 
@@ -286,7 +291,10 @@ app.get('/test/api', async (req, res) => {
 
     logger.info(`📍 Testeando con provincias: ${provincesArray.join(', ')}`);
     
-    const tenders = await placspAPI.getConstructionTendersByProvinces(provincesArray);
+    // Solo la primera página del feed: es un test rápido
+    const { tenders } = await placspAPI.getConstructionTendersByProvinces(provincesArray, {
+      maxPages: 1
+    });
     
     res.json({
       status: 'ok',
@@ -299,6 +307,7 @@ app.get('/test/api', async (req, res) => {
         title: t.title,
         province: t.province,
         cpv_code: t.cpv_code,
+        cpv_codes: t.cpv_codes,
         budget: t.budget
       }))
     });
@@ -316,7 +325,23 @@ app.get('/test/api', async (req, res) => {
 app.get('/matches/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const matches = await matchingService.getUserMatches(userId);
+    const list = value => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+    const { is_sara: isSara } = req.query;
+
+    if (isSara !== undefined && isSara !== 'true' && isSara !== 'false') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'is_sara debe ser true o false'
+      });
+    }
+
+    // Filtros opcionales: ?procedure_code=1,9&contract_type_code=3&urgency_code=2&is_sara=false
+    const matches = await matchingService.getUserMatches(userId, {
+      procedure_codes: list(req.query.procedure_code),
+      contract_type_codes: list(req.query.contract_type_code),
+      urgency_codes: list(req.query.urgency_code),
+      is_sara: isSara === undefined ? undefined : isSara === 'true'
+    });
     
     res.json({
       user_id: userId,
@@ -348,6 +373,8 @@ app.get('/api/matches/new', async (req, res) => {
         user_id,
         tender_id,
         match_score,
+        match_reasons,
+        score_breakdown,
         status,
         ai_summary,
         notified_at,
@@ -359,9 +386,30 @@ app.get('/api/matches/new', async (req, res) => {
           budget,
           deadline,
           cpv_code,
+          cpv_codes,
           province,
           contracting_body,
-          external_id
+          contact_email,
+          contracting_bodies (
+            id,
+            name,
+            nif,
+            dir3,
+            buyer_profile_url,
+            contact_name,
+            contact_email,
+            contact_phone
+          ),
+          external_id,
+          procedure_type,
+          contract_type,
+          urgency,
+          is_sara,
+          tender_documents (
+            document_type,
+            filename,
+            url
+          )
         )
       `)
       .eq('status', 'new')
@@ -397,6 +445,8 @@ app.get('/api/matches/new', async (req, res) => {
       user_id: match.user_id,
       tender_id: match.tender_id,
       match_score: match.match_score,
+      match_reasons: match.match_reasons || [],
+      score_breakdown: match.score_breakdown || [],
       user_email: userMap.get(match.user_id) || 'no-email@example.com',
       company_name: companyMap.get(match.user_id) || 'Empresa sin nombre',
       tender: {
@@ -406,9 +456,17 @@ app.get('/api/matches/new', async (req, res) => {
         budget: match.tenders?.budget,
         deadline: match.tenders?.deadline,
         cpv_code: match.tenders?.cpv_code,
+        cpv_codes: match.tenders?.cpv_codes,
         province: match.tenders?.province,
         contracting_body: match.tenders?.contracting_body,
-        external_id: match.tenders?.external_id
+        contracting_body_details: match.tenders?.contracting_bodies || null,
+        contact_email: match.tenders?.contact_email,
+        external_id: match.tenders?.external_id,
+        procedure_type: match.tenders?.procedure_type,
+        contract_type: match.tenders?.contract_type,
+        urgency: match.tenders?.urgency,
+        is_sara: match.tenders?.is_sara,
+        documents: match.tenders?.tender_documents || []
       }
     }));
 
@@ -550,7 +608,7 @@ app.get('/api/users/:userId/complete', async (req, res) => {
     // Obtener profile
     const { data: profile, error: profileError } = await supabase
       .from('user_profiles')
-      .select('company_name, company_size, budget_min, budget_max, sectors, locations')
+      .select('company_name, company_size, budget_min, budget_max, sectors, cpv_codes, locations')
       .eq('user_id', userId)
       .single();
     
@@ -585,6 +643,7 @@ app.get('/api/users/:userId/complete', async (req, res) => {
       budget_min: profile?.budget_min || 0,
       budget_max: profile?.budget_max || 0,
       sectors: profile?.sectors || [],
+      cpv_codes: profile?.cpv_codes || [],
       locations: profile?.locations || [],
       subscription_tier: company?.subscription_tier || 'basic',
       subscription_status: company?.subscription_status || 'trial'
@@ -600,6 +659,584 @@ app.get('/api/users/:userId/complete', async (req, res) => {
     });
   }
 });
+// ==================== MODIFICACIONES DE LICITACIONES ====================
+
+/**
+ * Histórico de versiones de una licitación (con el diff de cada cambio)
+ */
+app.get('/api/tenders/:tenderId/versions', async (req, res) => {
+  try {
+    const versions = await tenderHistoryService.getTenderVersions(req.params.tenderId);
+
+    res.json({
+      tender_id: req.params.tenderId,
+      total: versions.length,
+      versions
+    });
+  } catch (error) {
+    logger.error('Error en /api/tenders/:tenderId/versions:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Eventos de un usuario ("licitación modificada"). ?unread=true para solo los no leídos
+ */
+app.get('/api/users/:userId/events', async (req, res) => {
+  try {
+    const events = await tenderHistoryService.getUserEvents(req.params.userId, {
+      unreadOnly: req.query.unread === 'true',
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({
+      user_id: req.params.userId,
+      total: events.length,
+      events
+    });
+  } catch (error) {
+    logger.error('Error en /api/users/:userId/events:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Marcar un evento como leído
+ */
+app.patch('/api/events/:eventId/read', async (req, res) => {
+  try {
+    const event = await tenderHistoryService.markEventRead(req.params.eventId);
+
+    res.json({
+      status: 'ok',
+      event
+    });
+  } catch (error) {
+    logger.error('Error en /api/events/:eventId/read:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+// ==================== ÓRGANOS DE CONTRATACIÓN ====================
+
+/**
+ * Buscar órganos de contratación (?q=nombre, NIF o DIR3)
+ */
+app.get('/api/contracting-bodies', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const bodies = await contractingBodyService.searchBodies(req.query.q, limit);
+
+    res.json({
+      total: bodies.length,
+      contracting_bodies: bodies
+    });
+  } catch (error) {
+    logger.error('Error en /api/contracting-bodies:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Obtener un órgano de contratación con sus últimas licitaciones
+ */
+app.get('/api/contracting-bodies/:bodyId', async (req, res) => {
+  try {
+    const body = await contractingBodyService.getBody(req.params.bodyId);
+
+    if (!body) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Órgano de contratación no encontrado'
+      });
+    }
+
+    res.json(body);
+  } catch (error) {
+    logger.error('Error en /api/contracting-bodies/:bodyId:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Órganos de contratación que sigue un usuario
+ */
+app.get('/api/users/:userId/followed-bodies', async (req, res) => {
+  try {
+    const bodies = await contractingBodyService.getFollowedBodies(req.params.userId);
+
+    res.json({
+      user_id: req.params.userId,
+      total: bodies.length,
+      contracting_bodies: bodies
+    });
+  } catch (error) {
+    logger.error('Error en /api/users/:userId/followed-bodies:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Seguir un órgano de contratación
+ */
+app.post('/api/users/:userId/followed-bodies/:bodyId', async (req, res) => {
+  try {
+    const { userId, bodyId } = req.params;
+    const follow = await contractingBodyService.followBody(userId, bodyId);
+
+    logger.info(`⭐ Usuario ${userId} sigue al órgano ${bodyId}`);
+
+    res.json({
+      status: 'ok',
+      follow
+    });
+  } catch (error) {
+    logger.error('Error en POST /api/users/:userId/followed-bodies/:bodyId:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Dejar de seguir un órgano de contratación
+ */
+app.delete('/api/users/:userId/followed-bodies/:bodyId', async (req, res) => {
+  try {
+    const { userId, bodyId } = req.params;
+    await contractingBodyService.unfollowBody(userId, bodyId);
+
+    res.json({ status: 'ok' });
+  } catch (error) {
+    logger.error('Error en DELETE /api/users/:userId/followed-bodies/:bodyId:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+// ==================== ÁRBOL CPV ====================
+
+/**
+ * Árbol CPV de la división 45 para elegir nodos en el onboarding.
+ * ?q=texto o código para buscar nodos en lugar de devolver el árbol
+ */
+app.get('/api/cpv/tree', (req, res) => {
+  try {
+    if (req.query.q) {
+      const nodes = searchCpvNodes(req.query.q, parseInt(req.query.limit) || 20);
+      return res.json({ query: req.query.q, total: nodes.length, nodes });
+    }
+
+    res.json({ tree: buildCpvTree() });
+  } catch (error) {
+    logger.error('Error en /api/cpv/tree:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Guardar los nodos CPV del usuario (sustituye a los anteriores)
+ * Body: { cpv_codes: ['45230000', '45453000'] }
+ */
+app.put('/api/users/:userId/cpv-codes', async (req, res) => {
+  try {
+    const codes = req.body?.cpv_codes;
+
+    if (!Array.isArray(codes) || codes.some(code => typeof code !== 'string')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'cpv_codes debe ser una lista de códigos CPV'
+      });
+    }
+
+    const unknown = codes.filter(code => !isCpvNode(code));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Códigos CPV fuera del árbol de la división 45: ${unknown.join(', ')}`
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .update({ cpv_codes: [...new Set(codes.map(normalizeCpvCode))] })
+      .eq('user_id', req.params.userId)
+      .select('user_id, cpv_codes')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Perfil no encontrado'
+      });
+    }
+
+    logger.info(`🌳 ${data.cpv_codes.length} nodos CPV guardados para usuario ${req.params.userId}`);
+
+    res.json({
+      status: 'ok',
+      ...data
+    });
+  } catch (error) {
+    logger.error('Error en PUT /api/users/:userId/cpv-codes:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Guardar la base de operaciones y el radio de trabajo del usuario. La base
+ * se geolocaliza al guardarla: 400 si no se puede (p.ej. un código postal
+ * que el dataset de municipios no tiene) en lugar de ignorarla en el matching
+ * Body: { base_municipality, base_postal_code, max_travel_km } (null = sin base)
+ */
+app.put('/api/users/:userId/base', async (req, res) => {
+  try {
+    const { data: profile, error: profileError } = await supabase
+      .from('user_profiles')
+      .select('preferred_province')
+      .eq('user_id', req.params.userId)
+      .maybeSingle();
+
+    if (profileError) throw profileError;
+
+    if (!profile) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Perfil no encontrado'
+      });
+    }
+
+    const { errors, warnings, location } = matchingService.resolveUserBase(req.body, profile.preferred_province);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: errors.join('. ')
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .update({
+        base_municipality: req.body.base_municipality?.trim() || null,
+        base_postal_code: req.body.base_postal_code?.toString().trim() || null,
+        base_latitude: location?.latitude ?? null,
+        base_longitude: location?.longitude ?? null,
+        max_travel_km: req.body.max_travel_km ?? null
+      })
+      .eq('user_id', req.params.userId)
+      .select('user_id, base_municipality, base_postal_code, base_latitude, base_longitude, max_travel_km')
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`📍 Base guardada para usuario ${req.params.userId} (${location?.geo_precision || 'sin base'})`);
+
+    res.json({
+      status: 'ok',
+      ...data,
+      geo_precision: location?.geo_precision || null,
+      warnings
+    });
+  } catch (error) {
+    logger.error('Error en PUT /api/users/:userId/base:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Guardar los pesos del score y el score mínimo del usuario (null vuelve a
+ * los de su plan). Los pesos pueden ser parciales
+ * Body: { scoring_weights: { location, budget, sector, deadline }, min_match_score }
+ */
+app.put('/api/users/:userId/scoring', async (req, res) => {
+  try {
+    const errors = matchingService.validateScoringConfig(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: errors.join('. ')
+      });
+    }
+
+    const changes = {};
+    if ('scoring_weights' in req.body) changes.scoring_weights = req.body.scoring_weights;
+    if ('min_match_score' in req.body) changes.min_match_score = req.body.min_match_score;
+
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .update(changes)
+      .eq('user_id', req.params.userId)
+      .select('user_id, scoring_weights, min_match_score')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Perfil no encontrado'
+      });
+    }
+
+    logger.info(`⚖️ Configuración de score guardada para usuario ${req.params.userId}`);
+
+    res.json({
+      status: 'ok',
+      ...data
+    });
+  } catch (error) {
+    logger.error('Error en PUT /api/users/:userId/scoring:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+// ==================== BÚSQUEDAS GUARDADAS ====================
+
+/**
+ * Búsquedas guardadas de un usuario
+ */
+app.get('/api/users/:userId/saved-searches', async (req, res) => {
+  try {
+    const searches = await savedSearchService.listSearches(req.params.userId);
+
+    res.json({
+      user_id: req.params.userId,
+      total: searches.length,
+      saved_searches: searches
+    });
+  } catch (error) {
+    logger.error('Error en /api/users/:userId/saved-searches:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Crear una búsqueda guardada
+ * Body: { name, include_keywords, exclude_keywords, phrases, cpv_prefixes,
+ *         provinces, budget_min, budget_max, contracting_body_ids, is_active }
+ */
+app.post('/api/users/:userId/saved-searches', async (req, res) => {
+  try {
+    const errors = savedSearchService.validateSearch(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: errors.join('. ')
+      });
+    }
+
+    const search = await savedSearchService.createSearch(req.params.userId, req.body);
+
+    logger.info(`🔖 Búsqueda guardada "${search.name}" creada para usuario ${req.params.userId}`);
+
+    res.status(201).json({
+      status: 'ok',
+      saved_search: search
+    });
+  } catch (error) {
+    logger.error('Error en POST /api/users/:userId/saved-searches:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Modificar una búsqueda guardada (solo los campos enviados)
+ */
+app.patch('/api/users/:userId/saved-searches/:searchId', async (req, res) => {
+  try {
+    const { userId, searchId } = req.params;
+    const errors = savedSearchService.validateSearch(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: errors.join('. ')
+      });
+    }
+
+    const search = await savedSearchService.updateSearch(userId, searchId, req.body);
+
+    if (!search) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Búsqueda guardada no encontrada'
+      });
+    }
+
+    res.json({
+      status: 'ok',
+      saved_search: search
+    });
+  } catch (error) {
+    logger.error('Error en PATCH /api/users/:userId/saved-searches/:searchId:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Borrar una búsqueda guardada
+ */
+app.delete('/api/users/:userId/saved-searches/:searchId', async (req, res) => {
+  try {
+    const { userId, searchId } = req.params;
+    await savedSearchService.deleteSearch(userId, searchId);
+
+    res.json({ status: 'ok' });
+  } catch (error) {
+    logger.error('Error en DELETE /api/users/:userId/saved-searches/:searchId:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+// ==================== VALORACIONES ====================
+
+/**
+ * Valorar un match: interesante, no relevante (con motivo) u oferta
+ * presentada. La última valoración sustituye a la anterior y ajusta el
+ * score de las próximas licitaciones del usuario (los matches ya creados
+ * conservan el suyo)
+ * Body: { feedback: 'interesting' | 'not_relevant' | 'bid_submitted',
+ *         reason: 'sector' | 'contracting_body' | 'location' | 'budget' | 'deadline' | 'other',
+ *         comment }
+ */
+app.post('/api/users/:userId/matches/:matchId/feedback', async (req, res) => {
+  try {
+    const { userId, matchId } = req.params;
+    const errors = feedbackService.validateFeedback(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: errors.join('. ')
+      });
+    }
+
+    const feedback = await feedbackService.recordFeedback(userId, matchId, req.body);
+
+    if (!feedback) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Match no encontrado'
+      });
+    }
+
+    res.json({
+      status: 'ok',
+      feedback
+    });
+  } catch (error) {
+    logger.error('Error en POST /api/users/:userId/matches/:matchId/feedback:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+// ==================== REMATCH ====================
+
+/**
+ * Rehacer el matching de un usuario con las licitaciones abiertas
+ * (tras el alta o al editar su perfil)
+ */
+app.post('/api/users/:userId/rematch', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    logger.info(`🔁 Rematch solicitado para usuario ${userId}`);
+
+    const result = await syncJob.rematch(userId);
+
+    res.json({
+      status: 'ok',
+      user_id: userId,
+      tenders_checked: result.tenders,
+      matches_created: result.totalMatches
+    });
+  } catch (error) {
+    logger.error('Error en POST /api/users/:userId/rematch:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rehacer el matching de todos los usuarios activos (en background).
+ * 409 si ya hay uno en curso
+ */
+app.post('/api/rematch', (req, res) => {
+  if (syncJob.isRematching) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'Ya hay un rematch de todos los usuarios en curso'
+    });
+  }
+
+  logger.info('🔁 Rematch de todos los usuarios solicitado via API');
+
+  syncJob.rematch().catch(error => {
+    logger.error('Error en rematch de todos los usuarios:', error);
+  });
+
+  res.json({
+    status: 'started',
+    message: 'Rematch de todos los usuarios iniciado en background'
+  });
+});
+
 // ==================== ERROR HANDLERS ====================
 
 app.use((req, res) => {
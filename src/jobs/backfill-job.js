@@ -0,0 +1,70 @@
+import { parseArgs } from 'util';
+import { backfillService } from '../services/backfill-service.js';
+import { logger } from '../utils/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Backfill de licitaciones históricas desde los ZIP mensuales de PLACSP
+ *
+ * Uso:
+ *   npm run backfill -- <fichero.zip|directorio> [--from AAAA-MM-DD] [--to AAAA-MM-DD]
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' }
+    }
+  });
+
+  const source = positionals[0];
+
+  if (!source) {
+    logger.error('❌ Falta el origen: npm run backfill -- <fichero.zip|directorio> [--from AAAA-MM-DD] [--to AAAA-MM-DD]');
+    process.exit(1);
+  }
+
+  const startTime = Date.now();
+
+  try {
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info('🗄️ INICIANDO BACKFILL HISTÓRICO');
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    const result = await backfillService.runBackfill({
+      source,
+      from: values.from || null,
+      to: values.to || null
+    });
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info('✅ BACKFILL COMPLETADO');
+    logger.info(`⏱️ Duración: ${duration}s`);
+    logger.info(`📄 Ficheros procesados: ${result.files}`);
+    logger.info(`📦 Licitaciones obtenidas: ${result.tenders.fetched}`);
+    logger.info(`✨ Nuevas: ${result.tenders.new}`);
+    logger.info(`🔄 Actualizadas: ${result.tenders.updated}`);
+    logger.info(`⏸️ Sin cambios: ${result.tenders.unchanged}`);
+    logger.info(`🎯 Matches creados: ${result.matches}`);
+    if (result.errors > 0) {
+      logger.warn(`⚠️ Errores: ${result.errors}`);
+    }
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    process.exit(0);
+
+  } catch (error) {
+    logger.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.error('❌ ERROR EN BACKFILL');
+    logger.error(`Error: ${error.message}`);
+    logger.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,5 +1,7 @@
 import cron from 'node-cron';
+import { parseArgs } from 'util';
 import { syncService } from '../services/sync-service.js';
+import { matchingService } from '../services/matching-service.js';
 import { logger } from '../utils/logger.js';
 import dotenv from 'dotenv';
 
@@ -11,6 +13,7 @@ class SyncJob {
     // Por defecto: cada 6 horas (0 */6 * * *)
     this.schedule = process.env.SYNC_CRON_SCHEDULE || '0 */6 * * *';
     this.isRunning = false;
+    this.isRematching = false;
     this.task = null;
     this.lastExecution = null;
   }
@@ -75,6 +78,7 @@ class SyncJob {
       logger.info(`📦 Licitaciones obtenidas: ${result.tenders.fetched}`);
       logger.info(`✨ Nuevas: ${result.tenders.new}`);
       logger.info(`🔄 Actualizadas: ${result.tenders.updated}`);
+      logger.info(`⏸️ Sin cambios: ${result.tenders.unchanged}`);
       logger.info(`🎯 Matches creados: ${result.matches}`);
       if (result.errors > 0) {
         logger.warn(`⚠️ Errores: ${result.errors}`);
@@ -100,6 +104,47 @@ class SyncJob {
     await this.execute();
   }
 
+  /**
+   * Rehacer el matching de un usuario (o de todos) con las licitaciones
+   * abiertas ya guardadas. Solo puede haber un rematch de todos a la vez
+   * @param {string|null} userId
+   * @returns {Promise<Object>} - Resultado de matchingService.rematch
+   */
+  async rematch(userId = null) {
+    // Prevenir rematch de todos concurrentes (el flag se pone antes del
+    // primer await para que la API lo vea al volver)
+    if (!userId && this.isRematching) {
+      throw new Error('Ya hay un rematch de todos los usuarios en curso');
+    }
+
+    if (!userId) this.isRematching = true;
+    const startTime = Date.now();
+
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info(`🔁 REHACIENDO MATCHING${userId ? ` DEL USUARIO ${userId}` : ' DE TODOS LOS USUARIOS'}`);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    let result;
+
+    try {
+      result = await matchingService.rematch({ userId });
+    } finally {
+      if (!userId) this.isRematching = false;
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info('✅ MATCHING COMPLETADO');
+    logger.info(`⏱️ Duración: ${duration}s`);
+    logger.info(`👥 Usuarios: ${result.users}`);
+    logger.info(`📦 Licitaciones abiertas: ${result.tenders}`);
+    logger.info(`🎯 Matches creados: ${result.totalMatches}`);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    return result;
+  }
+
   /**
    * Obtener hora de la próxima ejecución (simplificado)
    */
@@ -155,6 +200,7 @@ class SyncJob {
     return {
       schedule: this.schedule,
       isRunning: this.isRunning,
+      isRematching: this.isRematching,
       nextExecution: this.getNextExecutionTime(),
       lastExecution: this.lastExecution ? this.lastExecution.toLocaleString('es-ES', {
         timeZone: 'Europe/Madrid'
@@ -169,11 +215,29 @@ export const syncJob = new SyncJob();
 export default syncJob;
 
 // Si este archivo se ejecuta directamente, correr sync una vez
+//   npm run sync
+//   npm run rematch [-- <userId>]   (rehacer el matching con licitaciones abiertas)
 if (import.meta.url === `file://${process.argv[1]}`) {
-  logger.info('🔧 Ejecutando sincronización manual desde CLI...');
-  
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      rematch: { type: 'boolean' }
+    }
+  });
+
   const job = new SyncJob();
-  await job.execute();
-  
+
+  if (values.rematch) {
+    try {
+      await job.rematch(positionals[0] || null);
+    } catch (error) {
+      logger.error(`❌ Error rehaciendo el matching: ${error.message}`);
+      process.exit(1);
+    }
+  } else {
+    logger.info('🔧 Ejecutando sincronización manual desde CLI...');
+    await job.execute();
+  }
+
   process.exit(0);
-}
\ No newline at end of file
+}
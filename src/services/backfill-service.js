@@ -0,0 +1,303 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createReadStream } from 'fs';
+import yauzl from 'yauzl';
+import { supabaseHelpers } from '../config/supabase.js';
+import { placspConfig } from '../config/placsp.js';
+import { placspAPI } from './placsp-api.js';
+import { syncService } from './sync-service.js';
+import { matchingService } from './matching-service.js';
+import { contractingBodyService } from './contracting-body-service.js';
+import { streamAtomElements } from '../utils/atom-stream.js';
+import { logger } from '../utils/logger.js';
+
+class BackfillService {
+  /**
+   * Cargar licitaciones históricas desde los ZIP mensuales de PLACSP
+   * (o un directorio de ficheros .atom) y pasarlas por el pipeline de sync
+   * @param {Object} options
+   * @param {string} options.source - Ruta a un .zip o a un directorio con ficheros .atom
+   * @param {string|null} options.from - Fecha inicial (YYYY-MM-DD), inclusive
+   * @param {string|null} options.to - Fecha final (YYYY-MM-DD), inclusive
+   * @returns {Promise<Object>} - Resultado del backfill
+   */
+  async runBackfill({ source, from = null, to = null }) {
+    let syncLog = null;
+    const startTime = Date.now();
+
+    try {
+      logger.info(`🗄️ Iniciando backfill desde ${source} (${from || 'inicio'} → ${to || 'fin'})...`);
+
+      contractingBodyService.resetCache();
+
+      syncLog = await supabaseHelpers.createSyncLog({
+        sync_type: 'backfill',
+        provinces: []
+      });
+
+      const matchContext = await matchingService.createMatchContext();
+      const userProvinces = await syncService.getUserProvinces(matchContext.users);
+
+      if (userProvinces.length === 0) {
+        logger.warn('⚠️ No hay usuarios con provincias configuradas');
+      }
+
+      const range = this.buildDateRange(from, to);
+      const seenIds = new Set();
+      const totals = { files: 0, entries: 0, fetched: 0, new: 0, updated: 0, unchanged: 0, cancelled: 0, matches: 0 };
+      const errors = [];
+
+      const syncEntries = async entries => {
+        if (entries.length === 0 || userProvinces.length === 0) return;
+
+        const tenders = placspAPI.selectConstructionTenders(entries, userProvinces);
+        if (tenders.length === 0) return;
+
+        const result = await syncService.syncBatch(tenders, matchContext);
+        totals.fetched += tenders.length;
+        totals.new += result.newCount;
+        totals.updated += result.updatedCount;
+        totals.unchanged += result.unchangedCount;
+        totals.matches += result.matches;
+        errors.push(...result.errors);
+      };
+
+      // Los ficheros se recorren del más reciente al más antiguo, y dentro de
+      // cada fichero las entradas vienen de la más reciente a la más antigua:
+      // la primera versión que vemos de cada expediente es la última publicada
+      for await (const file of this.readAtomFiles(source)) {
+        totals.files++;
+        let fileEntries = 0;
+        let pendingEntries = [];
+
+        for await (const { name, node } of streamAtomElements(file.stream, { elements: ['entry', 'at:deleted-entry'] })) {
+          if (!this.isLatestInRange(name, node, range, seenIds)) continue;
+
+          fileEntries++;
+
+          if (name === 'at:deleted-entry') {
+            const cancellation = await syncService.cancelDeletedTenders([placspAPI.transformDeletedEntry(node)]);
+            totals.cancelled += cancellation.cancelled;
+            errors.push(...cancellation.errors);
+            continue;
+          }
+
+          pendingEntries.push(node);
+
+          if (pendingEntries.length >= placspConfig.batchSize) {
+            await syncEntries(pendingEntries);
+            pendingEntries = [];
+          }
+        }
+
+        await syncEntries(pendingEntries);
+        totals.entries += fileEntries;
+
+        logger.info(`📄 ${file.name}: ${fileEntries} entradas en rango`);
+      }
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      await supabaseHelpers.updateSyncLog(syncLog.id, {
+        status: 'completed',
+        provinces: userProvinces,
+        tenders_fetched: totals.fetched,
+        tenders_new: totals.new,
+        tenders_updated: totals.updated,
+        tenders_unchanged: totals.unchanged,
+        metadata: {
+          duration_seconds: parseFloat(duration),
+          source,
+          from,
+          to,
+          files_processed: totals.files,
+          entries_in_range: totals.entries,
+          tenders_cancelled: totals.cancelled,
+          errors_count: errors.length,
+          matches_created: totals.matches,
+          errors: errors.slice(0, 10)
+        }
+      });
+
+      logger.info(`✅ Backfill completado en ${duration}s`);
+      logger.info(`   - Ficheros: ${totals.files}`);
+      logger.info(`   - Nuevas: ${totals.new}`);
+      logger.info(`   - Actualizadas: ${totals.updated}`);
+      logger.info(`   - Sin cambios: ${totals.unchanged}`);
+      logger.info(`   - Anuladas: ${totals.cancelled}`);
+      logger.info(`   - Matches creados: ${totals.matches}`);
+
+      return {
+        success: true,
+        duration: parseFloat(duration),
+        files: totals.files,
+        tenders: {
+          fetched: totals.fetched,
+          new: totals.new,
+          updated: totals.updated,
+          unchanged: totals.unchanged,
+          cancelled: totals.cancelled
+        },
+        matches: totals.matches,
+        errors: errors.length
+      };
+
+    } catch (error) {
+      logger.error('❌ Error en backfill:', error);
+
+      if (syncLog) {
+        await supabaseHelpers.updateSyncLog(syncLog.id, {
+          status: 'error',
+          error_message: error.message
+        });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Convertir las fechas del rango a timestamps (días completos)
+   * @param {string|null} from
+   * @param {string|null} to
+   * @returns {Object} - { fromTime, toTime }
+   */
+  buildDateRange(from, to) {
+    const fromTime = from ? Date.parse(`${from}T00:00:00Z`) : -Infinity;
+    const toTime = to ? Date.parse(`${to}T23:59:59.999Z`) : Infinity;
+
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw new Error(`Rango de fechas inválido: ${from} → ${to}`);
+    }
+
+    return { fromTime, toTime };
+  }
+
+  /**
+   * Comprobar si una entrada (o at:deleted-entry) está en el rango y es la
+   * versión más reciente vista de su expediente
+   * @param {string} name - 'entry' o 'at:deleted-entry'
+   * @param {Object} node - Elemento ATOM
+   * @param {Object} range - { fromTime, toTime }
+   * @param {Set} seenIds - Expedientes ya vistos
+   * @returns {boolean}
+   */
+  isLatestInRange(name, node, range, seenIds) {
+    const isEntry = name === 'entry';
+    const updatedTime = Date.parse(isEntry ? placspAPI.getEntryUpdated(node) : node.when);
+    if (!(updatedTime >= range.fromTime && updatedTime <= range.toTime)) return false;
+
+    const id = isEntry ? (node.id?._ || node.id) : node.ref;
+    if (!id || seenIds.has(id)) return false;
+
+    seenIds.add(id);
+    return true;
+  }
+
+  /**
+   * Recorrer los ficheros .atom de un ZIP o directorio, del más reciente al más antiguo
+   * @param {string} source
+   * @returns {AsyncGenerator<Object>} - { name, stream }
+   */
+  async *readAtomFiles(source) {
+    const stats = await fs.stat(source);
+
+    if (stats.isDirectory()) {
+      const names = (await fs.readdir(source))
+        .filter(name => name.toLowerCase().endsWith('.atom'))
+        .sort((a, b) => this.compareAtomFileNames(a, b));
+
+      for (const name of names) {
+        yield { name, stream: createReadStream(path.join(source, name)) };
+      }
+      return;
+    }
+
+    if (!source.toLowerCase().endsWith('.zip')) {
+      throw new Error(`Origen no soportado: ${source} (se espera un .zip o un directorio)`);
+    }
+
+    const zipfile = await this.openZip(source);
+
+    try {
+      const zipEntries = (await this.listZipEntries(zipfile))
+        .filter(entry => entry.fileName.toLowerCase().endsWith('.atom'))
+        .sort((a, b) => this.compareAtomFileNames(path.basename(a.fileName), path.basename(b.fileName)));
+
+      for (const entry of zipEntries) {
+        yield { name: entry.fileName, stream: await this.openZipEntry(zipfile, entry) };
+      }
+    } finally {
+      zipfile.close();
+    }
+  }
+
+  /**
+   * Ordenar ficheros del más reciente al más antiguo. PLACSP nombra los
+   * ficheros encadenados con sufijo _AAAAMMDD_HHMMSS; el que no lleva
+   * sufijo es la cabeza de la cadena (el más reciente)
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  compareAtomFileNames(a, b) {
+    const stamp = name => {
+      const match = name.match(/_(\d{8})_(\d{6})\.atom$/i);
+      return match ? `${match[1]}${match[2]}` : '99999999999999';
+    };
+
+    return stamp(b).localeCompare(stamp(a)) || a.localeCompare(b);
+  }
+
+  /**
+   * Abrir un ZIP con yauzl
+   * @param {string} zipPath
+   * @returns {Promise<Object>}
+   */
+  openZip(zipPath) {
+    return new Promise((resolve, reject) => {
+      yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+        if (error) return reject(error);
+        resolve(zipfile);
+      });
+    });
+  }
+
+  /**
+   * Listar las entradas de un ZIP
+   * @param {Object} zipfile
+   * @returns {Promise<Array>}
+   */
+  listZipEntries(zipfile) {
+    return new Promise((resolve, reject) => {
+      const entries = [];
+
+      zipfile.on('entry', entry => {
+        if (!entry.fileName.endsWith('/')) entries.push(entry);
+        zipfile.readEntry();
+      });
+      zipfile.once('end', () => resolve(entries));
+      zipfile.once('error', reject);
+
+      zipfile.readEntry();
+    });
+  }
+
+  /**
+   * Abrir una entrada de un ZIP como stream
+   * @param {Object} zipfile
+   * @param {Object} entry
+   * @returns {Promise<Readable>}
+   */
+  openZipEntry(zipfile, entry) {
+    return new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (error, stream) => {
+        if (error) return reject(error);
+        resolve(stream);
+      });
+    });
+  }
+}
+
+export const backfillService = new BackfillService();
+export default backfillService;
@@ -0,0 +1,281 @@
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+
+// Ids por consulta en los filtros .in()
+const IN_FILTER_CHUNK_SIZE = 150;
+
+class ContractingBodyService {
+  constructor() {
+    // Ids ya guardados en esta sincronización (clave 'dir3:...' o 'nif:...').
+    // Se vacía al empezar cada una (resetCache) para volver a actualizar los datos
+    this.idCache = new Map();
+  }
+
+  /**
+   * Vaciar la caché de ids (al empezar una sincronización)
+   */
+  resetCache() {
+    this.idCache.clear();
+  }
+
+  /**
+   * Clave con la que se identifica un órgano: DIR3 o, si no lo tiene, NIF
+   * @param {Object|null} party
+   * @returns {string|null}
+   */
+  getKey(party) {
+    if (!party) return null;
+    if (party.dir3) return `dir3:${party.dir3}`;
+    return party.nif ? `nif:${party.nif}` : null;
+  }
+
+  /**
+   * Fila de contracting_bodies a partir del órgano del feed
+   * @param {Object} party - Resultado de placspAPI.extractContractingParty
+   * @returns {Object}
+   */
+  buildRow(party) {
+    return {
+      nif: party.nif,
+      dir3: party.dir3,
+      platform_id: party.platform_id,
+      name: party.name || 'No especificado',
+      party_type_code: party.party_type_code,
+      buyer_profile_url: party.buyer_profile_url,
+      website: party.website,
+      address: party.address,
+      city: party.city,
+      postal_code: party.postal_code,
+      country_code: party.country_code,
+      contact_name: party.contact_name,
+      contact_email: party.contact_email,
+      contact_phone: party.contact_phone,
+      contact_fax: party.contact_fax,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Guardar (o actualizar) de una vez los órganos de contratación de un
+   * tramo de licitaciones: una consulta para buscar los existentes, un
+   * upsert para actualizarlos y un insert para los nuevos
+   * @param {Array} parties - Resultados de placspAPI.extractContractingParty (con null)
+   * @returns {Promise<Map>} - clave (getKey) → id en contracting_bodies
+   */
+  async saveManyFromFeed(parties) {
+    const ids = new Map();
+    const pending = new Map();
+
+    for (const party of parties) {
+      const key = this.getKey(party);
+      if (!key) continue;
+
+      if (this.idCache.has(key)) {
+        ids.set(key, this.idCache.get(key));
+      } else {
+        pending.set(key, party);
+      }
+    }
+
+    if (pending.size === 0) return ids;
+
+    const existing = await this.findExistingMany([...pending.values()]);
+    const updates = [];
+    const inserts = [];
+
+    for (const [key, party] of pending) {
+      const id = existing.get(key);
+      if (id) {
+        updates.push({ ...this.buildRow(party), id });
+        ids.set(key, id);
+      } else {
+        inserts.push(this.buildRow(party));
+      }
+    }
+
+    if (updates.length > 0) {
+      const { error } = await supabase
+        .from('contracting_bodies')
+        .upsert(updates, { onConflict: 'id' });
+
+      if (error) throw error;
+    }
+
+    if (inserts.length > 0) {
+      const { data: inserted, error } = await supabase
+        .from('contracting_bodies')
+        .insert(inserts)
+        .select('id, dir3, nif');
+
+      if (error) throw error;
+
+      for (const row of inserted || []) {
+        ids.set(this.getKey(row), row.id);
+      }
+      logger.debug(`🏛️ ${inserts.length} nuevos órganos de contratación`);
+    }
+
+    for (const key of pending.keys()) {
+      if (ids.has(key)) this.idCache.set(key, ids.get(key));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Guardar (o actualizar) el órgano de contratación de una licitación
+   * @param {Object|null} party - Resultado de placspAPI.extractContractingParty
+   * @returns {Promise<string|null>} - Id en contracting_bodies
+   */
+  async saveFromFeed(party) {
+    const key = this.getKey(party);
+    if (!key) return null;
+
+    const ids = await this.saveManyFromFeed([party]);
+    return ids.get(key) || null;
+  }
+
+  /**
+   * Buscar órganos ya guardados: por DIR3, o por NIF entre los que aún no
+   * tienen DIR3 (así no se duplica cuando el feed empieza a informarlo)
+   * @param {Array} parties
+   * @returns {Promise<Map>} - clave (getKey) → id
+   */
+  async findExistingMany(parties) {
+    const found = new Map();
+    const dir3s = [...new Set(parties.map(party => party.dir3).filter(Boolean))];
+
+    for (let i = 0; i < dir3s.length; i += IN_FILTER_CHUNK_SIZE) {
+      const { data, error } = await supabase
+        .from('contracting_bodies')
+        .select('id, dir3')
+        .in('dir3', dir3s.slice(i, i + IN_FILTER_CHUNK_SIZE));
+
+      if (error) throw error;
+      (data || []).forEach(row => found.set(`dir3:${row.dir3}`, row.id));
+    }
+
+    const missing = parties.filter(party => !found.has(this.getKey(party)) && party.nif);
+    const nifs = [...new Set(missing.map(party => party.nif))];
+    const byNif = new Map();
+
+    for (let i = 0; i < nifs.length; i += IN_FILTER_CHUNK_SIZE) {
+      const { data, error } = await supabase
+        .from('contracting_bodies')
+        .select('id, nif')
+        .in('nif', nifs.slice(i, i + IN_FILTER_CHUNK_SIZE))
+        .is('dir3', null);
+
+      if (error) throw error;
+      (data || []).forEach(row => { if (!byNif.has(row.nif)) byNif.set(row.nif, row.id); });
+    }
+
+    // Cada fila sin DIR3 se asigna a un solo órgano (un upsert no puede
+    // tocar dos veces la misma fila)
+    for (const party of missing) {
+      if (!byNif.has(party.nif)) continue;
+      found.set(this.getKey(party), byNif.get(party.nif));
+      byNif.delete(party.nif);
+    }
+
+    return found;
+  }
+
+  /**
+   * Buscar órganos de contratación por nombre, NIF o DIR3
+   * @param {string} query
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async searchBodies(query, limit = 20) {
+    let request = supabase
+      .from('contracting_bodies')
+      .select('*')
+      .order('name')
+      .limit(limit);
+
+    if (query) {
+      const term = query.replace(/[%,()"]/g, ' ').trim();
+      request = request.or(`name.ilike."%${term}%",nif.eq."${term}",dir3.eq."${term}"`);
+    }
+
+    const { data, error } = await request;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Obtener un órgano de contratación con sus últimas licitaciones
+   * @param {string} bodyId
+   * @returns {Promise<Object|null>}
+   */
+  async getBody(bodyId) {
+    const { data, error } = await supabase
+      .from('contracting_bodies')
+      .select('*, tenders (id, title, budget, deadline, status, province, publication_date)')
+      .eq('id', bodyId)
+      .order('publication_date', { referencedTable: 'tenders', ascending: false })
+      .limit(20, { referencedTable: 'tenders' })
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Órganos de contratación que sigue un usuario
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async getFollowedBodies(userId) {
+    const { data, error } = await supabase
+      .from('user_followed_bodies')
+      .select('created_at, contracting_bodies (*)')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return (data || []).map(follow => ({
+      ...follow.contracting_bodies,
+      followed_at: follow.created_at
+    }));
+  }
+
+  /**
+   * Seguir un órgano de contratación
+   * @param {string} userId
+   * @param {string} bodyId
+   * @returns {Promise<Object>}
+   */
+  async followBody(userId, bodyId) {
+    const { data, error } = await supabase
+      .from('user_followed_bodies')
+      .upsert({ user_id: userId, contracting_body_id: bodyId }, { onConflict: 'user_id,contracting_body_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Dejar de seguir un órgano de contratación
+   * @param {string} userId
+   * @param {string} bodyId
+   * @returns {Promise<void>}
+   */
+  async unfollowBody(userId, bodyId) {
+    const { error } = await supabase
+      .from('user_followed_bodies')
+      .delete()
+      .eq('user_id', userId)
+      .eq('contracting_body_id', bodyId);
+
+    if (error) throw error;
+  }
+}
+
+export const contractingBodyService = new ContractingBodyService();
+export default contractingBodyService;
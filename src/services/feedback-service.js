@@ -0,0 +1,329 @@
+import { supabase } from '../config/supabase.js';
+import { feedbackScoring } from '../config/scoring.js';
+import { logger } from '../utils/logger.js';
+import { normalizeText } from '../utils/province-resolver.js';
+import { getCpvPath } from '../utils/cpv-tree.js';
+
+// Valoraciones posibles y lo que enseña cada una al modelo
+const FEEDBACK_LABELS = {
+  interesting: 1,
+  bid_submitted: 1.5,
+  not_relevant: -1
+};
+
+// Qué señales aprende un "no relevante" según el motivo: si no era relevante
+// por ubicación, presupuesto o plazo, el perfil ya lo cubre y no se
+// penalizan los términos, el CPV ni el órgano
+const REASON_SIGNALS = {
+  sector: ['terms', 'cpv'],
+  contracting_body: ['bodies'],
+  location: [],
+  budget: [],
+  deadline: [],
+  other: ['terms', 'cpv', 'bodies']
+};
+
+// Peso de cada señal en el ajuste (se reparte entre las que tienen datos)
+const SIGNAL_WEIGHTS = {
+  terms: 0.4,
+  cpv: 0.4,
+  bodies: 0.2
+};
+
+// Valoraciones (las más recientes) con las que se recalcula el modelo
+const MODEL_FEEDBACK_LIMIT = 500;
+
+// Términos que se guardan en el modelo (los de más peso)
+const MAX_TERMS = 300;
+
+// Palabras demasiado comunes en licitaciones de obra para decir nada
+const STOPWORDS = new Set([
+  'para', 'como', 'entre', 'desde', 'sobre', 'hasta', 'este', 'esta', 'estos', 'estas',
+  'mediante', 'segun', 'otros', 'otras', 'todo', 'toda', 'todos', 'todas', 'tipo',
+  'obra', 'obras', 'trabajos', 'contrato', 'contratacion', 'proyecto', 'ejecucion',
+  'expediente', 'lote', 'lotes', 'municipal', 'municipio', 'ayuntamiento', 'servicio', 'servicios'
+]);
+
+// Ids por consulta en los filtros .in()
+const IN_FILTER_CHUNK_SIZE = 150;
+
+class FeedbackService {
+  /**
+   * Validar una valoración
+   * @param {Object} input - { feedback, reason, comment }
+   * @returns {Array<string>} - Errores (vacío si es válida)
+   */
+  validateFeedback(input) {
+    if (!input || typeof input !== 'object') {
+      return ['El cuerpo debe ser un objeto JSON'];
+    }
+
+    const errors = [];
+
+    if (!Object.hasOwn(FEEDBACK_LABELS, input.feedback)) {
+      errors.push(`feedback debe ser uno de: ${Object.keys(FEEDBACK_LABELS).join(', ')}`);
+    }
+
+    if (input.reason != null && !Object.hasOwn(REASON_SIGNALS, input.reason)) {
+      errors.push(`reason debe ser uno de: ${Object.keys(REASON_SIGNALS).join(', ')}`);
+    } else if (input.feedback === 'not_relevant' && !input.reason) {
+      errors.push('reason es obligatorio para not_relevant');
+    }
+
+    if (input.comment != null && typeof input.comment !== 'string') {
+      errors.push('comment debe ser un texto');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Guardar la valoración de un match (sustituye a la anterior) y
+   * recalcular el modelo del usuario
+   * @param {string} userId
+   * @param {string} matchId
+   * @param {Object} input - Datos ya validados
+   * @returns {Promise<Object|null>} - Valoración guardada, null si el match no es del usuario
+   */
+  async recordFeedback(userId, matchId, { feedback, reason = null, comment = null }) {
+    const { data: match, error: matchError } = await supabase
+      .from('user_tender_matches')
+      .select('id, tender_id')
+      .eq('id', matchId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (matchError) throw matchError;
+    if (!match) return null;
+
+    const { data, error } = await supabase
+      .from('match_feedback')
+      .upsert({
+        match_id: match.id,
+        user_id: userId,
+        tender_id: match.tender_id,
+        feedback,
+        reason: feedback === 'not_relevant' ? reason : null,
+        comment: comment?.trim() || null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'match_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: updateError } = await supabase
+      .from('user_tender_matches')
+      .update({ feedback })
+      .eq('id', match.id);
+
+    if (updateError) throw updateError;
+
+    logger.info(`👍 Match ${matchId} valorado como ${feedback}${data.reason ? ` (${data.reason})` : ''}`);
+
+    // El modelo no debe hacer fallar la valoración, que ya está guardada
+    try {
+      await this.rebuildModel(userId);
+    } catch (modelError) {
+      logger.warn(`⚠️ No se pudo recalcular el modelo de ${userId}: ${modelError.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Recalcular el modelo de relevancia de un usuario con sus valoraciones.
+   * Solo afecta a los matches que se calculen a partir de ahora (sync y
+   * rematch): el score de los matches ya creados no se recalcula
+   * @param {string} userId
+   * @returns {Promise<Object>} - Fila de user_relevance_models
+   */
+  async rebuildModel(userId) {
+    const { data: feedback, error } = await supabase
+      .from('match_feedback')
+      .select('feedback, reason, tenders (title, description, cpv_code, cpv_codes, contracting_body_id)')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false })
+      .limit(MODEL_FEEDBACK_LIMIT);
+
+    if (error) throw error;
+
+    const model = {
+      user_id: userId,
+      ...this.buildModel(feedback || []),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data, error: upsertError } = await supabase
+      .from('user_relevance_models')
+      .upsert(model, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (upsertError) throw upsertError;
+
+    logger.debug(`🧠 Modelo de ${userId}: ${Object.keys(model.term_weights).length} términos, ` +
+      `${Object.keys(model.cpv_affinities).length} nodos CPV, ${Object.keys(model.body_affinities).length} órganos`);
+
+    return data;
+  }
+
+  /**
+   * Aprender pesos de términos y afinidades de CPV y órgano. Cada clave
+   * acumula las etiquetas de las licitaciones en las que aparece y se
+   * suaviza con una valoración neutra, así que una sola valoración pesa 0,5.
+   * feedback_count (la confianza del modelo) solo cuenta las valoraciones
+   * que han aportado alguna señal: un "no relevante" por ubicación no suma
+   * @param {Array} feedback - [{ feedback, reason, tenders }]
+   * @returns {Object} - { term_weights, cpv_affinities, body_affinities (valores entre -1 y 1), feedback_count }
+   */
+  buildModel(feedback) {
+    const stats = { terms: new Map(), cpv: new Map(), bodies: new Map() };
+    let feedbackCount = 0;
+    const add = (map, key, label) => {
+      const entry = map.get(key) || { sum: 0, count: 0 };
+      entry.sum += label;
+      entry.count++;
+      map.set(key, entry);
+    };
+
+    for (const item of feedback) {
+      const tender = item.tenders;
+      if (!tender) continue;
+
+      const label = FEEDBACK_LABELS[item.feedback];
+      const signals = label < 0 ? REASON_SIGNALS[item.reason] || REASON_SIGNALS.other : Object.keys(SIGNAL_WEIGHTS);
+      const terms = signals.includes('terms') ? this.extractTerms(tender) : [];
+      const cpvNodes = signals.includes('cpv') ? this.getCpvNodes(tender) : [];
+      const bodies = signals.includes('bodies') && tender.contracting_body_id ? [tender.contracting_body_id] : [];
+
+      terms.forEach(term => add(stats.terms, term, label));
+      cpvNodes.forEach(code => add(stats.cpv, code, label));
+      bodies.forEach(body => add(stats.bodies, body, label));
+
+      if (terms.length + cpvNodes.length + bodies.length > 0) feedbackCount++;
+    }
+
+    const toWeights = (map, limit = Infinity) => Object.fromEntries(
+      [...map.entries()]
+        .map(([key, { sum, count }]) => [key, Math.round(Math.max(-1, Math.min(1, sum / (count + 1))) * 1000) / 1000])
+        .filter(([, weight]) => weight !== 0)
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+        .slice(0, limit)
+    );
+
+    return {
+      term_weights: toWeights(stats.terms, MAX_TERMS),
+      cpv_affinities: toWeights(stats.cpv),
+      body_affinities: toWeights(stats.bodies),
+      feedback_count: feedbackCount
+    };
+  }
+
+  /**
+   * Ajuste del score por el modelo del usuario: media de cada señal con
+   * datos, ponderada con SIGNAL_WEIGHTS y escalada por la confianza (número
+   * de valoraciones)
+   * @param {Object|null} model - Fila de user_relevance_models
+   * @param {Object} tender
+   * @returns {Object|null} - { points, evidence }, null si el modelo no dice nada
+   */
+  scoreTender(model, tender) {
+    if (!model || !model.feedback_count) return null;
+
+    const signals = {};
+    const evidence = { feedback_count: model.feedback_count };
+
+    const terms = this.extractTerms(tender)
+      .filter(term => model.term_weights?.[term] !== undefined)
+      .map(term => [term, model.term_weights[term]]);
+
+    if (terms.length > 0) {
+      signals.terms = terms.reduce((sum, [, weight]) => sum + weight, 0) / terms.length;
+      evidence.terms = Object.fromEntries(
+        terms.sort((a, b) => Math.abs(b[1]) - Math.abs(a[1])).slice(0, 5)
+      );
+    }
+
+    // Para cada CPV de la licitación, el nodo más concreto con afinidad
+    const cpvAffinities = [tender.cpv_code, ...(tender.cpv_codes || [])]
+      .map(code => getCpvPath(code).reverse().find(node => model.cpv_affinities?.[node] !== undefined))
+      .filter(Boolean);
+
+    if (cpvAffinities.length > 0) {
+      const nodes = [...new Set(cpvAffinities)];
+      signals.cpv = cpvAffinities.reduce((sum, node) => sum + model.cpv_affinities[node], 0) / cpvAffinities.length;
+      evidence.cpv = Object.fromEntries(nodes.map(node => [node, model.cpv_affinities[node]]));
+    }
+
+    const bodyAffinity = model.body_affinities?.[tender.contracting_body_id];
+
+    if (bodyAffinity !== undefined) {
+      signals.bodies = bodyAffinity;
+      evidence.contracting_body = bodyAffinity;
+    }
+
+    const available = Object.keys(signals);
+    if (available.length === 0) return null;
+
+    const totalWeight = available.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0);
+    const signal = available.reduce((sum, name) => sum + signals[name] * SIGNAL_WEIGHTS[name], 0) / totalWeight;
+    const confidence = Math.min(1, model.feedback_count / feedbackScoring.fullConfidenceAt);
+    const points = Math.round(signal * confidence * feedbackScoring.maxPoints);
+
+    return points === 0 ? null : { points, evidence: { ...evidence, signal: Math.round(signal * 1000) / 1000 } };
+  }
+
+  /**
+   * Términos de una licitación: palabras del título y la descripción sin
+   * tildes, de 4 letras o más y sin las muy comunes (sin repetir)
+   * @param {Object} tender
+   * @returns {Array<string>}
+   */
+  extractTerms(tender) {
+    const text = normalizeText([tender.title, tender.description].filter(Boolean).join(' '));
+
+    return [...new Set(text.split(' '))]
+      .filter(word => word.length >= 4 && !/^\d+$/.test(word) && !STOPWORDS.has(word));
+  }
+
+  /**
+   * Nodos CPV de una licitación y sus antepasados, sin la división (todas
+   * las licitaciones de obra la comparten)
+   * @param {Object} tender
+   * @returns {Array<string>}
+   */
+  getCpvNodes(tender) {
+    const nodes = [tender.cpv_code, ...(tender.cpv_codes || [])]
+      .flatMap(code => getCpvPath(code).slice(1));
+
+    return [...new Set(nodes)];
+  }
+
+  /**
+   * Cargar de una vez los modelos de varios usuarios
+   * @param {Array<string>} userIds
+   * @returns {Promise<Map>} - user_id → modelo
+   */
+  async getModelsByUser(userIds) {
+    const byUser = new Map();
+
+    for (let i = 0; i < userIds.length; i += IN_FILTER_CHUNK_SIZE) {
+      const { data, error } = await supabase
+        .from('user_relevance_models')
+        .select('*')
+        .in('user_id', userIds.slice(i, i + IN_FILTER_CHUNK_SIZE));
+
+      if (error) throw error;
+
+      for (const model of data || []) {
+        byUser.set(model.user_id, model);
+      }
+    }
+
+    return byUser;
+  }
+}
+
+export const feedbackService = new FeedbackService();
+export default feedbackService;
@@ -1,39 +1,146 @@
+import crypto from 'crypto';
 import { supabase } from '../config/supabase.js';
+import { defaultScoring, tierScoring } from '../config/scoring.js';
+import { savedSearchService } from './saved-search-service.js';
+import { feedbackService } from './feedback-service.js';
 import { logger } from '../utils/logger.js';
+import { findProvince, sameProvince } from '../utils/province-resolver.js';
+import { distanceKm, geocode, hasPostalCodes } from '../utils/geocoder.js';
+import { SECTOR_CPV_NODES, cpvTreeDistance, getCpvLabel, getCpvNode, isCpvDescendant } from '../utils/cpv-tree.js';
+
+// Estados de suscripción con acceso a matches
+const ACTIVE_SUBSCRIPTION_STATUSES = ['trial', 'active'];
+
+// Ids por consulta en los filtros .in() (para no pasarse de longitud de URL)
+const IN_FILTER_CHUNK_SIZE = 150;
+
+// Matches por insert
+const MATCH_INSERT_CHUNK_SIZE = 200;
+
+// Licitaciones abiertas por página al rehacer el matching
+const REMATCH_PAGE_SIZE = 500;
+
+// Sector: lo que resta cada salto en el árbol CPV, el mínimo por ser obra
+// de la división 45, hasta dónde se considera "cerca" y lo que suma que el
+// título también case con el sector
+const CPV_DISTANCE_STEP = 0.1;
+const CPV_MIN_FRACTION = 0.4;
+const CPV_NEAR_DISTANCE = 2;
+const KEYWORD_BONUS = 0.2;
+
+// Precisiones de geolocalización con las que se mide la distancia: con el
+// centroide de la provincia se compara por provincia
+const DISTANCE_GEO_PRECISIONS = new Set(['municipality', 'postal_code']);
+
+// Palabras clave de los sectores del perfil (señal secundaria, en el título)
+const SECTOR_KEYWORDS = {
+  'Edificación residencial': ['edificación', 'edificio', 'vivienda', 'residencial', 'pabellón'],
+  'Obra civil': ['obra civil', 'infraestructura', 'urbanización', 'pavimentación', 'carretera', 'ingeniería civil'],
+  'Rehabilitación y reformas': ['rehabilitación', 'reforma', 'restauración', 'mejora'],
+  'Instalaciones': ['instalación', 'instalaciones', 'eléctrica', 'fontanería', 'climatización']
+};
+
+/**
+ * Partir un array en trozos
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
 
 class MatchingService {
+  constructor() {
+    // Configuración de scoring ya resuelta de cada usuario cargado
+    this.scoringConfigs = new WeakMap();
+  }
+
   /**
    * Hacer matching de licitaciones con usuarios
    * @param {Array} tenders - Nuevas licitaciones
+   * @param {Object|null} context - Usuarios indexados (createMatchContext); si no
+   *   se pasa, se cargan ahora
    * @returns {Promise<Object>}
    */
-  async matchTendersWithUsers(tenders) {
+  async matchTendersWithUsers(tenders, context = null) {
     logger.info(`🎯 Matching de ${tenders.length} licitaciones con usuarios...`);
 
     let totalMatches = 0;
     const matchesByUser = {};
 
-    for (const tender of tenders) {
-      try {
-        // Obtener usuarios de la provincia de la licitación
-        const users = await this.getUsersByProvince(tender.province);
-
-        for (const user of users) {
-          const matchScore = this.calculateMatchScore(tender, user);
-
-          // Solo crear match si score >= 60
-          if (matchScore >= 60) {
-            const match = await this.createMatch(user, tender, matchScore);
-            
-            if (match) {
-              totalMatches++;
-              matchesByUser[user.user_id] = (matchesByUser[user.user_id] || 0) + 1;
+    if (tenders.length === 0) {
+      return { totalMatches, usersMatched: 0, matchesByUser };
+    }
+
+    try {
+      const matchContext = context || await this.createMatchContext();
+      const existingPairs = await this.getExistingMatchPairs(tenders.map(t => t.id));
+      const pending = [];
+
+      for (const tender of tenders) {
+        try {
+          // Usuarios de la provincia de la licitación (y de la de cada lote),
+          // y los que tienen búsquedas guardadas en esas provincias
+          const profileUsers = this.getUsersForTender(tender, matchContext);
+          const profileUserIds = new Set(profileUsers.map(user => user.user_id));
+          const candidates = [
+            ...profileUsers,
+            ...this.getSearchUsersForTender(tender, matchContext).filter(user => !profileUserIds.has(user.user_id))
+          ];
+
+          for (const user of candidates) {
+            const pairKey = `${user.user_id}:${tender.id}`;
+
+            if (existingPairs.has(pairKey)) {
+              logger.debug(`⏭️ Match ya existe para usuario ${user.user_id} y licitación ${tender.id}`);
+              continue;
+            }
+
+            const fromProfile = profileUserIds.has(user.user_id);
+            // Las búsquedas sin provincias solo dan match en la zona del
+            // perfil, pero sus palabras excluidas vetan en cualquier provincia
+            const { excluded, match: searchMatch } = savedSearchService.evaluateSearches(user.saved_searches, tender, {
+              canMatch: search => fromProfile || search.provinces?.length > 0
+            });
+
+            // Una palabra excluida veta la licitación para el usuario
+            if (excluded) {
+              logger.debug(`🚫 "${excluded.keyword}" excluida por ${user.user_id} (${excluded.search.name}): ${tender.id}`);
+              continue;
+            }
+
+            const { score: matchScore, breakdown, lot } = this.calculateBestMatch(tender, user);
+
+            // Match si llega al score mínimo del usuario o si encaja con una de sus búsquedas
+            const byProfile = fromProfile && matchScore >= this.getScoringConfig(user).minScore;
+
+            if (byProfile || searchMatch) {
+              pending.push({
+                user,
+                tender,
+                row: this.buildMatchRow(user, tender, { score: matchScore, breakdown, lot, searchMatch })
+              });
+              existingPairs.add(pairKey);
             }
           }
+        } catch (error) {
+          logger.error(`❌ Error en matching de licitación ${tender.id}:`, error.message);
         }
-      } catch (error) {
-        logger.error(`❌ Error en matching de licitación ${tender.id}:`, error.message);
       }
+
+      for (const { user, tender, row } of await this.insertMatches(pending)) {
+        totalMatches++;
+        matchesByUser[user.user_id] = (matchesByUser[user.user_id] || 0) + 1;
+        logger.info(`✨ Match creado: ${user.company_name} - ${tender.title.substring(0, 50)}... (Score: ${row.match_score})`);
+      }
+
+    } catch (error) {
+      logger.error('❌ Error en matching con usuarios:', error.message);
     }
 
     logger.info(`✅ Creados ${totalMatches} matches para ${Object.keys(matchesByUser).length} usuarios`);
@@ -46,84 +153,510 @@ class MatchingService {
   }
 
   /**
-   * Obtener usuarios de una provincia específica
-   * @param {string} province
-   * @returns {Promise<Array>}
+   * Rehacer el matching de un usuario (o de todos) contra todas las
+   * licitaciones abiertas y con plazo vigente ya guardadas. Para usuarios
+   * recién dados de alta o que cambian su perfil: los pares que ya tienen
+   * match no se duplican
+   * @param {Object} options
+   * @param {string|null} options.userId - Sin userId, todos los usuarios activos
+   * @returns {Promise<Object>} - { users, tenders, totalMatches, usersMatched, matchesByUser }
    */
-  async getUsersByProvince(province) {
-    try {
-      logger.info(`🔍 Buscando usuarios en provincia: ${province}`);
-      
-      // Obtener usuarios activos
-      const { data: activeUsers, error: usersError } = await supabase
-        .from('companies')
-        .select('user_id')
-        .in('subscription_status', ['trial', 'active']);
-
-      if (usersError) {
-        logger.error(`❌ Error obteniendo usuarios activos:`, usersError);
-        return [];
-      }
+  async rematch({ userId = null } = {}) {
+    const users = await this.loadActiveUsers({ userId });
+
+    const result = { users: users.length, tenders: 0, totalMatches: 0, usersMatched: 0, matchesByUser: {} };
+
+    if (users.length === 0) {
+      logger.warn(userId
+        ? `⚠️ El usuario ${userId} no está activo o no ha completado el onboarding`
+        : '⚠️ No hay usuarios activos para rehacer el matching');
+      return result;
+    }
 
-      logger.info(`   📊 Usuarios activos: ${activeUsers?.length || 0}`);
+    logger.info(`🔁 Rehaciendo matching de ${userId ? `usuario ${userId}` : `${users.length} usuarios`} con licitaciones abiertas...`);
 
-      if (!activeUsers || activeUsers.length === 0) {
-        logger.warn(`   ⚠️ No hay usuarios activos`);
-        return [];
+    const context = await this.createMatchContext(users);
+
+    for await (const tenders of this.getOpenTenders()) {
+      const pageResult = await this.matchTendersWithUsers(tenders, context);
+
+      result.tenders += tenders.length;
+      result.totalMatches += pageResult.totalMatches;
+
+      for (const [matchedUserId, count] of Object.entries(pageResult.matchesByUser)) {
+        result.matchesByUser[matchedUserId] = (result.matchesByUser[matchedUserId] || 0) + count;
       }
+    }
+
+    result.usersMatched = Object.keys(result.matchesByUser).length;
+
+    logger.info(`✅ Matching rehecho: ${result.totalMatches} matches nuevos en ${result.tenders} licitaciones abiertas`);
 
-      const userIds = activeUsers.map(u => u.user_id);
+    return result;
+  }
+
+  /**
+   * Recorrer por páginas las licitaciones abiertas con plazo vigente (o sin
+   * plazo conocido), con sus lotes
+   * @returns {AsyncGenerator<Array>}
+   */
+  async *getOpenTenders() {
+    const now = new Date().toISOString();
+
+    for (let from = 0; ; from += REMATCH_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('tenders')
+        .select('*, tender_lots (*)')
+        .eq('status', 'active')
+        .eq('is_active', true)
+        .or(`deadline.is.null,deadline.gt.${now}`)
+        .order('id')
+        .range(from, from + REMATCH_PAGE_SIZE - 1);
 
-      // Obtener perfiles con esa provincia en locations
+      if (error) throw error;
+      if (!data || data.length === 0) return;
+
+      yield data;
+
+      if (data.length < REMATCH_PAGE_SIZE) return;
+    }
+  }
+
+  /**
+   * Cargar una vez los usuarios activos (trial o active) con el onboarding
+   * completado, con los datos de su suscripción y la base ya geocodificada
+   * @param {Object} options
+   * @param {string|null} options.userId - Solo ese usuario
+   * @returns {Promise<Array>}
+   */
+  async loadActiveUsers({ userId = null } = {}) {
+    let query = supabase
+      .from('companies')
+      .select('user_id, subscription_status, subscription_tier')
+      .in('subscription_status', ACTIVE_SUBSCRIPTION_STATUSES);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data: companies, error: companiesError } = await query;
+
+    if (companiesError) throw companiesError;
+    if (!companies || companies.length === 0) return [];
+
+    const companiesByUser = new Map(companies.map(company => [company.user_id, company]));
+    const users = [];
+
+    for (const userIds of chunk([...companiesByUser.keys()], IN_FILTER_CHUNK_SIZE)) {
       const { data: profiles, error: profilesError } = await supabase
         .from('user_profiles')
         .select('*')
         .in('user_id', userIds)
         .eq('onboarding_completed', true);
 
-      if (profilesError) {
-        logger.error(`   ❌ Error obteniendo perfiles:`, profilesError);
-        return [];
+      if (profilesError) throw profilesError;
+
+      for (const profile of profiles || []) {
+        const company = companiesByUser.get(profile.user_id);
+        const user = {
+          ...profile,
+          subscription_status: company.subscription_status,
+          subscription_tier: company.subscription_tier
+        };
+
+        // Geocodificar la base una sola vez por ejecución
+        const base = this.getUserBase(user);
+
+        if (!base && user.max_travel_km && (user.base_municipality || user.base_postal_code)) {
+          logger.warn(`⚠️ Base de ${user.user_id} sin geolocalizar (${[user.base_postal_code, user.base_municipality].filter(Boolean).join(', ')}): ` +
+            'matching por provincia');
+        }
+
+        users.push(base ? { ...user, base_latitude: base.latitude, base_longitude: base.longitude } : user);
+      }
+    }
+
+    return users;
+  }
+
+  /**
+   * Preparar los usuarios para el matching de una ejecución: índice en
+   * memoria por provincia y por comunidad autónoma, y lista de los que
+   * tienen radio de trabajo
+   * @param {Array|null} users - Usuarios ya cargados (loadActiveUsers)
+   * @returns {Promise<Object>} - { users, byProvince, byRegion, travelUsers }
+   */
+  async createMatchContext(users = null) {
+    const loadedUsers = users || await this.loadActiveUsers();
+    const userIds = loadedUsers.map(user => user.user_id);
+    const searchesByUser = await savedSearchService.getActiveSearchesByUser(userIds);
+    const modelsByUser = await feedbackService.getModelsByUser(userIds);
+    const activeUsers = loadedUsers.map(user => ({
+      ...user,
+      saved_searches: searchesByUser.get(user.user_id) || [],
+      relevance_model: modelsByUser.get(user.user_id) || null
+    }));
+
+    const byProvince = new Map();
+    const byRegion = new Map();
+    const bySearchProvince = new Map();
+    const addTo = (index, key, user) => {
+      if (!index.has(key)) index.set(key, new Map());
+      index.get(key).set(user.user_id, user);
+    };
+
+    for (const user of activeUsers) {
+      for (const value of [user.preferred_province, ...(user.locations || [])]) {
+        const province = findProvince(value);
+        if (!province) continue;
+
+        addTo(byProvince, province.name, user);
+        addTo(byRegion, province.region, user);
+      }
+
+      for (const value of user.saved_searches.flatMap(search => search.provinces || [])) {
+        const province = findProvince(value);
+        if (province) addTo(bySearchProvince, province.name, user);
+      }
+    }
+
+    const travelUsers = activeUsers.filter(user => user.max_travel_km && this.getUserBase(user));
+    const searchCount = activeUsers.reduce((sum, user) => sum + user.saved_searches.length, 0);
+
+    logger.info(`👥 ${activeUsers.length} usuarios activos para matching (${byProvince.size} provincias, ${travelUsers.length} con radio de trabajo, ${searchCount} búsquedas guardadas)`);
+
+    return { users: activeUsers, byProvince, byRegion, bySearchProvince, travelUsers };
+  }
+
+  /**
+   * Usuarios candidatos para una licitación: los de su provincia y la de
+   * cada lote (o, si no se conoce la provincia, los de su comunidad) y los
+   * que la alcanzan con su radio de trabajo
+   * @param {Object} tender
+   * @param {Object} context - createMatchContext
+   * @returns {Array}
+   */
+  getUsersForTender(tender, context) {
+    const usersById = new Map();
+    const addUsers = users => users?.forEach(user => usersById.set(user.user_id, user));
+
+    const views = [tender, ...this.getTenderLots(tender).map(lot => this.getLotView(tender, lot))];
+
+    for (const view of views) {
+      const province = findProvince(view.province);
+
+      if (province) {
+        addUsers(context.byProvince.get(province.name));
+      } else if (view.region) {
+        addUsers(context.byRegion.get(view.region));
+      }
+    }
+
+    // Usuarios con radio de trabajo que llega a la obra desde otra provincia
+    addUsers(context.travelUsers.filter(user => views.some(view => {
+      const distance = this.getTravelDistance(view, user);
+      return distance !== null && distance <= user.max_travel_km;
+    })));
+
+    return Array.from(usersById.values());
+  }
+
+  /**
+   * Usuarios con alguna búsqueda guardada en la provincia de la licitación
+   * o de alguno de sus lotes (las búsquedas sin provincias solo se aplican
+   * en la zona del perfil)
+   * @param {Object} tender
+   * @param {Object} context - createMatchContext
+   * @returns {Array}
+   */
+  getSearchUsersForTender(tender, context) {
+    const usersById = new Map();
+    const provinces = [tender.province, ...this.getTenderLots(tender).map(lot => lot.province)];
+
+    for (const value of provinces) {
+      const province = findProvince(value);
+      context.bySearchProvince.get(province?.name)?.forEach(user => usersById.set(user.user_id, user));
+    }
+
+    return Array.from(usersById.values());
+  }
+
+  /**
+   * Pares (usuario, licitación) que ya tienen match
+   * @param {Array<string>} tenderIds
+   * @returns {Promise<Set<string>>} - Claves "user_id:tender_id"
+   */
+  async getExistingMatchPairs(tenderIds) {
+    const pairs = new Set();
+
+    for (const ids of chunk(tenderIds.filter(Boolean), IN_FILTER_CHUNK_SIZE)) {
+      const { data, error } = await supabase
+        .from('user_tender_matches')
+        .select('user_id, tender_id')
+        .in('tender_id', ids);
+
+      if (error) throw error;
+      data?.forEach(match => pairs.add(`${match.user_id}:${match.tender_id}`));
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Lotes de una licitación (recién guardada o leída de BD con tender_lots)
+   * @param {Object} tender
+   * @returns {Array}
+   */
+  getTenderLots(tender) {
+    return tender.lots || tender.tender_lots || [];
+  }
+
+  /**
+   * Calcular el mejor match entre la licitación completa y cada uno de sus
+   * lotes. Un lote pequeño puede encajar con un usuario aunque la licitación
+   * completa no lo haga
+   * @param {Object} tender
+   * @param {Object} user
+   * @returns {Object} - { score, breakdown, lot } (lot = null si gana la licitación completa)
+   */
+  calculateBestMatch(tender, user) {
+    // Lo que queda fuera del radio de trabajo del usuario no puntúa
+    const scoreView = view => this.isWithinTravelRange(view, user)
+      ? this.scoreMatch(view, user)
+      : { score: 0, breakdown: [] };
+
+    let best = { ...scoreView(tender), lot: null };
+
+    for (const lot of this.getTenderLots(tender)) {
+      const result = scoreView(this.getLotView(tender, lot));
+
+      if (result.score > best.score) {
+        best = { ...result, lot };
       }
+    }
+
+    return best;
+  }
 
-      logger.info(`   📊 Perfiles completados: ${profiles?.length || 0}`);
+  /**
+   * Vista de un lote con la forma de una licitación, para puntuarlo
+   * @param {Object} tender
+   * @param {Object} lot
+   * @returns {Object}
+   */
+  getLotView(tender, lot) {
+    return {
+      ...tender,
+      title: lot.title || tender.title,
+      budget: lot.budget ?? tender.budget,
+      cpv_code: lot.cpv_codes?.[0] || tender.cpv_code,
+      cpv_codes: lot.cpv_codes?.length > 0 ? lot.cpv_codes : tender.cpv_codes,
+      province: lot.province || tender.province,
+      latitude: lot.latitude ?? tender.latitude,
+      longitude: lot.longitude ?? tender.longitude,
+      geo_precision: lot.latitude != null ? lot.geo_precision : tender.geo_precision,
+      work_type: lot.work_type || tender.work_type
+    };
+  }
+
+  /**
+   * Coordenadas de la base del usuario: las guardadas o, si no hay,
+   * las de su municipio / código postal base (el centroide de la provincia
+   * no sirve para medir distancias)
+   * @param {Object} user
+   * @returns {Object|null} - { latitude, longitude }
+   */
+  getUserBase(user) {
+    if (user.base_latitude != null && user.base_longitude != null) {
+      return { latitude: user.base_latitude, longitude: user.base_longitude };
+    }
+
+    if (!user.base_municipality && !user.base_postal_code) return null;
+
+    const location = geocode({
+      municipality: user.base_municipality,
+      postalCode: user.base_postal_code,
+      province: user.preferred_province
+    });
+
+    return DISTANCE_GEO_PRECISIONS.has(location.geo_precision) ? location : null;
+  }
+
+  /**
+   * Validar y geolocalizar la base de operaciones de un perfil. Una base que
+   * solo llega al centroide de la provincia no sirve para medir distancias y
+   * se rechaza; un código postal que no se encuentra se avisa aunque el
+   * municipio sí se haya geolocalizado
+   * @param {Object} input - { base_municipality, base_postal_code, max_travel_km }
+   * @param {string|null} preferredProvince - Para desambiguar el municipio
+   * @returns {Object} - { errors, warnings, location } (location null sin base)
+   */
+  resolveUserBase(input, preferredProvince = null) {
+    if (!input || typeof input !== 'object') {
+      return { errors: ['El cuerpo debe ser un objeto JSON'], warnings: [], location: null };
+    }
+
+    const errors = [];
+    const warnings = [];
+    const { base_municipality: municipality, base_postal_code: postalCode, max_travel_km: maxTravelKm } = input;
+
+    if (municipality != null && (typeof municipality !== 'string' || !municipality.trim())) {
+      errors.push('base_municipality debe ser un texto');
+    }
+
+    if (postalCode != null && !/^\d{5}$/.test(String(postalCode).trim())) {
+      errors.push('base_postal_code debe ser un código postal de 5 dígitos');
+    }
+
+    if (maxTravelKm != null && (!Number.isInteger(maxTravelKm) || maxTravelKm <= 0)) {
+      errors.push('max_travel_km debe ser un entero mayor que 0');
+    }
+
+    if (errors.length > 0 || (!municipality && !postalCode)) {
+      return { errors, warnings, location: null };
+    }
+
+    const location = geocode({ municipality, postalCode: postalCode?.toString().trim(), province: preferredProvince });
+    const postalCodeMissed = postalCode && location.geo_precision !== 'postal_code';
+    const reason = hasPostalCodes() ? 'no se encuentra' : 'el dataset de municipios no trae códigos postales';
+
+    if (!DISTANCE_GEO_PRECISIONS.has(location.geo_precision)) {
+      errors.push(postalCodeMissed
+        ? `No se puede geolocalizar el código postal ${postalCode} (${reason})${municipality ? ` ni el municipio ${municipality}` : ''}`
+        : `No se encuentra el municipio ${municipality}`);
+      return { errors, warnings, location: null };
+    }
+
+    if (postalCodeMissed) {
+      warnings.push(`Código postal ${postalCode} sin geolocalizar (${reason}): se usa el centro del municipio`);
+    }
+
+    return { errors, warnings, location };
+  }
+
+  /**
+   * Distancia en km desde la base del usuario hasta la licitación (o lote).
+   * Null si el usuario no tiene radio de trabajo, falta alguna ubicación o
+   * la obra solo está localizada a nivel de provincia
+   * @param {Object} tender
+   * @param {Object} user
+   * @returns {number|null}
+   */
+  getTravelDistance(tender, user) {
+    if (!user.max_travel_km || !DISTANCE_GEO_PRECISIONS.has(tender.geo_precision)) return null;
+    return distanceKm(this.getUserBase(user), tender);
+  }
+
+  /**
+   * Comprobar si la licitación está dentro del radio de trabajo del usuario
+   * (si no se puede calcular la distancia, no se descarta)
+   * @param {Object} tender
+   * @param {Object} user
+   * @returns {boolean}
+   */
+  isWithinTravelRange(tender, user) {
+    const distance = this.getTravelDistance(tender, user);
+    return distance === null || distance <= user.max_travel_km;
+  }
+
+  /**
+   * Comprobar si una provincia está entre las del usuario (preferida o
+   * ubicaciones), aceptando nombres cooficiales o alternativos
+   * @param {Object} user
+   * @param {string} province
+   * @returns {boolean}
+   */
+  userHasProvince(user, province) {
+    return sameProvince(user.preferred_province, province) ||
+      (user.locations || []).some(location => sameProvince(location, province));
+  }
 
-      // Filtrar los que tienen esta provincia
-      const usersInProvince = profiles?.filter(profile => {
-        const hasProvince = 
-          profile.preferred_province === province ||
-          (profile.locations && profile.locations.includes(province));
-        
-        if (hasProvince) {
-          logger.info(`   ✅ Usuario encontrado: ${profile.company_name} (${province})`);
+  /**
+   * Validar la configuración de score de un perfil. null en cualquiera de
+   * los dos campos vuelve a los valores del plan
+   * @param {Object} input - { scoring_weights, min_match_score }
+   * @returns {Array<string>} - Errores (vacío si es válida)
+   */
+  validateScoringConfig(input) {
+    if (!input || typeof input !== 'object') {
+      return ['El cuerpo debe ser un objeto JSON'];
+    }
+
+    const errors = [];
+    const factors = Object.keys(defaultScoring.weights);
+    const weights = input.scoring_weights;
+
+    if (!('scoring_weights' in input) && !('min_match_score' in input)) {
+      errors.push('Indica scoring_weights o min_match_score');
+    }
+
+    if (weights != null) {
+      if (typeof weights !== 'object' || Array.isArray(weights)) {
+        errors.push(`scoring_weights debe ser un objeto con pesos de: ${factors.join(', ')}`);
+      } else {
+        const unknown = Object.keys(weights).filter(factor => !factors.includes(factor));
+        const invalid = Object.entries(weights)
+          .filter(([, weight]) => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)
+          .map(([factor]) => factor);
+
+        if (unknown.length > 0) {
+          errors.push(`Factores desconocidos en scoring_weights: ${unknown.join(', ')} (válidos: ${factors.join(', ')})`);
         }
-        
-        return hasProvince;
-      }) || [];
 
-      logger.info(`   📊 Total usuarios en ${province}: ${usersInProvince.length}`);
+        if (invalid.length > 0) {
+          errors.push(`Los pesos deben ser números mayores o iguales que 0: ${invalid.join(', ')}`);
+        } else if (factors.every(factor => (weights[factor] ?? defaultScoring.weights[factor]) === 0)) {
+          errors.push('Los pesos no pueden ser todos 0');
+        }
+      }
+    }
+
+    const minScore = input.min_match_score;
 
-      // Obtener datos de companies
-      const { data: companies } = await supabase
-        .from('companies')
-        .select('*')
-        .in('user_id', usersInProvince.map(p => p.user_id))
-        .in('subscription_status', ['trial', 'active']);
+    if (minScore != null && (!Number.isInteger(minScore) || minScore < 0 || minScore > 100)) {
+      errors.push('min_match_score debe ser un entero entre 0 y 100');
+    }
 
-      // Combinar datos
-      return usersInProvince.map(profile => {
-        const company = companies?.find(c => c.user_id === profile.user_id);
-        return {
-          ...profile,
-          subscription_status: company?.subscription_status,
-          subscription_tier: company?.subscription_tier
-        };
-      });
+    return errors;
+  }
 
-    } catch (error) {
-      logger.error(`❌ Error obteniendo usuarios de ${province}:`, error.message);
-      return [];
+  /**
+   * Pesos y score mínimo de un usuario: los de su perfil (scoring_weights,
+   * min_match_score), si no los de su plan (tierScoring) y si no los de
+   * defaultScoring. La versión es un hash de la configuración resultante, y
+   * se guarda en cada match para saber con qué pesos se calculó
+   * @param {Object} user
+   * @returns {Object} - { weights, minScore, version }
+   */
+  getScoringConfig(user) {
+    if (this.scoringConfigs.has(user)) return this.scoringConfigs.get(user);
+
+    const tier = tierScoring[user.subscription_tier] || {};
+    const isWeight = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const isScore = value => typeof value === 'number' && value >= 0 && value <= 100;
+
+    let weights = Object.fromEntries(
+      Object.entries(defaultScoring.weights).map(([factor, defaultWeight]) => [
+        factor,
+        [user.scoring_weights?.[factor], tier.weights?.[factor]].find(isWeight) ?? defaultWeight
+      ])
+    );
+
+    // Con todos los pesos a 0 no hay score posible
+    if (!Object.values(weights).some(weight => weight > 0)) {
+      weights = { ...defaultScoring.weights };
     }
+
+    const minScore = [user.min_match_score, tier.minScore].find(isScore) ?? defaultScoring.minScore;
+    const version = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ weights, minScore }))
+      .digest('hex')
+      .slice(0, 12);
+
+    const config = { weights, minScore, version };
+    this.scoringConfigs.set(user, config);
+    return config;
   }
 
   /**
@@ -133,188 +666,462 @@ class MatchingService {
    * @returns {number} Score de 0-100
    */
   calculateMatchScore(tender, user) {
+    return this.scoreMatch(tender, user).score;
+  }
+
+  /**
+   * Calcular el score con su desglose. Cada factor se evalúa entre 0 y 1 y
+   * se pondera con los pesos del usuario (getScoringConfig), reescalados
+   * para que el máximo sea 100. Encima van las penalizaciones de tramitación
+   * y el ajuste del modelo de valoraciones del usuario
+   * @param {Object} tender
+   * @param {Object} user
+   * @returns {Object} - { score, breakdown: [{ factor, points, max, evidence }] }
+   */
+  scoreMatch(tender, user) {
+    const { weights } = this.getScoringConfig(user);
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const roundPoints = points => Math.round(points * 10) / 10;
+
+    const factors = {
+      location: this.evaluateLocation(tender, user),
+      budget: this.evaluateBudget(tender, user),
+      sector: this.evaluateSector(tender, user),
+      deadline: this.evaluateDeadline(tender)
+    };
+
     let score = 0;
-    const reasons = [];
+    const breakdown = [];
 
-    // 1. Match de provincia (40 puntos - más peso)
-    if (user.preferred_province === tender.province) {
-      score += 40;
-      reasons.push('Provincia preferida');
-    } else if (user.locations && user.locations.includes(tender.province)) {
-      score += 40;
-      reasons.push('Provincia en ubicaciones');
-    } else {
-      // Si no hay match de provincia exacto, dar puntos base si está en España
-      score += 10;
-    }
-
-    // 2. Match de presupuesto (30 puntos)
-    if (tender.budget) {
-      if (user.budget_min && user.budget_max) {
-        if (tender.budget >= user.budget_min && tender.budget <= user.budget_max) {
-          score += 30;
-          reasons.push('Presupuesto en rango');
-        } else if (tender.budget >= user.budget_min * 0.5 && tender.budget <= user.budget_max * 2) {
-          score += 20;
-          reasons.push('Presupuesto cercano al rango');
-        } else {
-          score += 5;
-        }
-      } else {
-        // Si no tiene rango definido, dar puntos base
-        score += 15;
-      }
-    } else {
-      // Sin presupuesto definido
-      score += 10;
-    }
-
-    // 3. Match de sector/tipo de obra (20 puntos - más flexible)
-    if (user.sectors && user.sectors.length > 0) {
-      const tenderType = tender.work_type.toLowerCase();
-      const tenderTitle = tender.title.toLowerCase();
-      
-      // Mapeo de sectores del usuario a palabras clave
-      const sectorKeywords = {
-        'Edificación residencial': ['edificación', 'edificio', 'vivienda', 'residencial', 'pabellón'],
-        'Obra civil': ['obra civil', 'infraestructura', 'urbanización', 'pavimentación', 'carretera', 'ingeniería civil'],
-        'Rehabilitación y reformas': ['rehabilitación', 'reforma', 'restauración', 'mejora'],
-        'Instalaciones': ['instalación', 'instalaciones', 'eléctrica', 'fontanería', 'climatización']
+    for (const [factor, { fraction, evidence }] of Object.entries(factors)) {
+      const max = weights[factor] * 100 / totalWeight;
+      score += fraction * max;
+      breakdown.push({ factor, points: roundPoints(fraction * max), max: roundPoints(max), evidence });
+    }
+
+    // Preferencias de tramitación (solo penalizan si el usuario las ha configurado)
+    const penalties = this.getProcessPenalties(tender, user);
+
+    if (penalties.length > 0) {
+      const penalty = penalties.reduce((sum, item) => sum + item.points, 0);
+      score -= penalty;
+      breakdown.push({ factor: 'process', points: -penalty, max: 0, evidence: { penalties } });
+    }
+
+    // Lo aprendido de sus valoraciones (interesante, no relevante, oferta presentada)
+    const learned = feedbackService.scoreTender(user.relevance_model, tender);
+
+    if (learned) {
+      score += learned.points;
+      breakdown.push({ factor: 'feedback', points: learned.points, max: 0, evidence: learned.evidence });
+    }
+
+    return { score: Math.max(0, Math.min(Math.round(score), 100)), breakdown };
+  }
+
+  /**
+   * Ubicación: por distancia si el usuario tiene base y radio de trabajo y
+   * la obra está geolocalizada por municipio o código postal; si no, por
+   * provincia
+   * @param {Object} tender
+   * @param {Object} user
+   * @returns {Object} - { fraction, evidence }
+   */
+  evaluateLocation(tender, user) {
+    const distance = this.getTravelDistance(tender, user);
+
+    if (distance !== null) {
+      const evidence = {
+        distance_km: Math.round(distance * 10) / 10,
+        max_travel_km: user.max_travel_km,
+        province: tender.province || null
       };
-      
-      let hasSectorMatch = false;
-      
-      for (const sector of user.sectors) {
-        const keywords = sectorKeywords[sector] || [sector.toLowerCase()];
-        
-        for (const keyword of keywords) {
-          if (tenderType.includes(keyword) || tenderTitle.includes(keyword)) {
-            hasSectorMatch = true;
-            break;
-          }
-        }
-        
-        if (hasSectorMatch) break;
+
+      // Todo el peso en la base, la mitad en el límite del radio
+      return distance <= user.max_travel_km
+        ? { fraction: 1 - 0.5 * (distance / user.max_travel_km), evidence: { match: 'distance', ...evidence } }
+        : { fraction: 0, evidence: { match: 'out_of_range', ...evidence } };
+    }
+
+    if (sameProvince(user.preferred_province, tender.province)) {
+      return { fraction: 1, evidence: { match: 'preferred_province', province: tender.province } };
+    }
+
+    if (this.userHasProvince(user, tender.province)) {
+      return { fraction: 1, evidence: { match: 'locations', province: tender.province } };
+    }
+
+    // Si no hay match de provincia exacto, algo de puntuación por estar en España
+    return { fraction: 0.25, evidence: { match: 'none', province: tender.province || null } };
+  }
+
+  /**
+   * Presupuesto (sin IVA) frente al rango del usuario
+   * @param {Object} tender
+   * @param {Object} user
+   * @returns {Object} - { fraction, evidence }
+   */
+  evaluateBudget(tender, user) {
+    const evidence = {
+      budget: tender.budget ?? null,
+      budget_min: user.budget_min ?? null,
+      budget_max: user.budget_max ?? null
+    };
+
+    // Sin presupuesto definido
+    if (!tender.budget) {
+      return { fraction: 1 / 3, evidence: { match: 'no_budget', ...evidence } };
+    }
+
+    // Si no tiene rango definido, la mitad
+    if (!user.budget_min || !user.budget_max) {
+      return { fraction: 0.5, evidence: { match: 'no_user_range', ...evidence } };
+    }
+
+    if (tender.budget >= user.budget_min && tender.budget <= user.budget_max) {
+      return { fraction: 1, evidence: { match: 'in_range', ...evidence } };
+    }
+
+    if (tender.budget >= user.budget_min * 0.5 && tender.budget <= user.budget_max * 2) {
+      return { fraction: 2 / 3, evidence: { match: 'near_range', ...evidence } };
+    }
+
+    return { fraction: 1 / 6, evidence: { match: 'out_of_range', ...evidence } };
+  }
+
+  /**
+   * Sector del usuario por distancia en el árbol CPV entre los nodos que
+   * eligió (o los de sus sectores) y los CPV de la licitación. Las palabras
+   * clave del título quedan como señal secundaria
+   * @param {Object} tender
+   * @param {Object} user
+   * @returns {Object} - { fraction, evidence } (evidence dice qué nodo o palabra casó)
+   */
+  evaluateSector(tender, user) {
+    const sectors = user.sectors || [];
+    const userNodes = user.cpv_codes?.length > 0
+      ? user.cpv_codes
+      : [...new Set(sectors.flatMap(sector => SECTOR_CPV_NODES[sector] || []))];
+
+    // Si no tiene ni nodos CPV ni sectores, tres cuartos
+    if (userNodes.length === 0 && sectors.length === 0) {
+      return { fraction: 0.75, evidence: { match: 'no_user_sectors' } };
+    }
+
+    const keyword = this.findSectorKeyword(tender, sectors);
+    const cpv = this.findClosestCpv(tender, userNodes);
+
+    // Sin CPV de obra que comparar, decide el título como antes
+    if (!cpv) {
+      return keyword
+        ? { fraction: 1, evidence: { match: 'keyword', ...keyword } }
+        : { fraction: 0.5, evidence: { match: 'none', sectors, cpv_codes: userNodes } };
+    }
+
+    const cpvFraction = cpv.inside
+      ? 1
+      : Math.max(CPV_MIN_FRACTION, 1 - cpv.distance * CPV_DISTANCE_STEP);
+
+    return {
+      fraction: Math.min(1, cpvFraction + (keyword ? KEYWORD_BONUS : 0)),
+      evidence: {
+        match: cpv.inside ? 'cpv' : cpv.distance <= CPV_NEAR_DISTANCE ? 'cpv_near' : 'cpv_far',
+        user_cpv: cpv.userCode,
+        user_cpv_label: getCpvLabel(cpv.userCode),
+        tender_cpv: cpv.tenderCode,
+        tender_cpv_label: getCpvLabel(cpv.tenderCode),
+        distance: cpv.inside ? 0 : cpv.distance,
+        keyword: keyword?.keyword || null
       }
-      
-      if (hasSectorMatch) {
-        score += 20;
-        reasons.push('Sector coincide');
-      } else {
-        score += 10;
-        reasons.push('Sector relacionado con construcción');
+    };
+  }
+
+  /**
+   * Par (nodo del usuario, CPV de la licitación) más cercano en el árbol.
+   * Un CPV dentro del subárbol de un nodo del usuario gana siempre
+   * @param {Object} tender
+   * @param {Array<string>} userNodes
+   * @returns {Object|null} - { userCode, tenderCode, distance, inside }, null sin CPV de la división 45
+   */
+  findClosestCpv(tender, userNodes) {
+    const tenderCodes = [...new Set([tender.cpv_code, ...(tender.cpv_codes || [])])]
+      .filter(code => getCpvNode(code));
+
+    let closest = null;
+
+    for (const tenderCode of tenderCodes) {
+      for (const userCode of userNodes) {
+        const inside = isCpvDescendant(tenderCode, userCode);
+        const distance = cpvTreeDistance(tenderCode, userCode);
+        if (distance === null) continue;
+
+        const better = !closest ||
+          (inside && !closest.inside) ||
+          (inside === closest.inside && distance < closest.distance);
+
+        if (better) closest = { userCode, tenderCode, distance, inside };
       }
-    } else {
-      // Si no tiene sectores definidos, dar puntos base
-      score += 15;
     }
 
-    // 4. Estado y disponibilidad (10 puntos)
-    if (tender.status === 'active') {
-      score += 5;
+    return closest;
+  }
+
+  /**
+   * Primera palabra clave de los sectores del usuario que aparece en el título
+   * @param {Object} tender
+   * @param {Array<string>} sectors
+   * @returns {Object|null} - { sector, keyword, field }
+   */
+  findSectorKeyword(tender, sectors) {
+    const title = (tender.title || '').toLowerCase();
+
+    for (const sector of sectors) {
+      const keywords = SECTOR_KEYWORDS[sector] || [sector.toLowerCase()];
+      const keyword = keywords.find(word => title.includes(word));
+
+      if (keyword) return { sector, keyword, field: 'title' };
     }
 
+    return null;
+  }
+
+  /**
+   * Estado y plazo: mitad por estar abierta, mitad por el tiempo que queda
+   * (0 si el plazo ya ha vencido)
+   * @param {Object} tender
+   * @returns {Object} - { fraction, evidence }
+   */
+  evaluateDeadline(tender) {
+    let fraction = tender.status === 'active' ? 0.5 : 0;
+    const evidence = { status: tender.status || null, days_left: null, label: null };
+
     if (tender.deadline) {
-      const daysUntilDeadline = this.getDaysUntilDeadline(tender.deadline);
-      if (daysUntilDeadline > 15) {
-        score += 5;
-        reasons.push('Plazo amplio');
-      } else if (daysUntilDeadline > 7) {
-        score += 3;
-        reasons.push('Plazo moderado');
+      const { days, label } = this.getDaysUntilDeadline(tender.deadline);
+      Object.assign(evidence, { days_left: days, label });
+
+      // Con el plazo vencido ya no se puede presentar oferta
+      if (Date.parse(tender.deadline) <= Date.now()) {
+        return { fraction: 0, evidence };
+      }
+
+      if (days > 15) {
+        fraction += 0.5;
+      } else if (days > 7) {
+        fraction += 0.3;
       }
     }
 
-    return Math.min(score, 100);
+    return { fraction, evidence };
   }
 
   /**
-   * Calcular días hasta el deadline
+   * Penalizaciones por procedimiento, tipo de contrato, urgencia o SARA
+   * fuera de las preferencias del usuario
+   * @param {Object} tender
+   * @param {Object} user
+   * @returns {Array} - [{ preference, value, points }]
+   */
+  getProcessPenalties(tender, user) {
+    const penalties = [];
+
+    if (user.procedure_codes?.length > 0 && tender.procedure_code &&
+        !user.procedure_codes.includes(tender.procedure_code)) {
+      penalties.push({ preference: 'procedure_codes', value: tender.procedure_code, points: 15 });
+    }
+
+    if (user.contract_type_codes?.length > 0 && tender.contract_type_code &&
+        !user.contract_type_codes.includes(tender.contract_type_code)) {
+      penalties.push({ preference: 'contract_type_codes', value: tender.contract_type_code, points: 15 });
+    }
+
+    // Urgente (2) o emergencia (3): plazos reducidos a la mitad
+    if (user.accepts_urgent === false && ['2', '3'].includes(tender.urgency_code)) {
+      penalties.push({ preference: 'accepts_urgent', value: tender.urgency_code, points: 10 });
+    }
+
+    if (user.accepts_sara === false && tender.is_sara === true) {
+      penalties.push({ preference: 'accepts_sara', value: true, points: 10 });
+    }
+
+    return penalties;
+  }
+
+  /**
+   * Calcular el tiempo que queda hasta el deadline (timestamp exacto). Los
+   * días se redondean hacia arriba (un día empezado cuenta, como siempre para
+   * los umbrales del score); la etiqueta usa días y horas completos y por
+   * debajo de un día se cuenta en horas
    * @param {string} deadline
-   * @returns {number}
+   * @returns {Object} - { days, hours, label } (label: "12 días", "5 horas"...)
    */
   getDaysUntilDeadline(deadline) {
-    const deadlineDate = new Date(deadline);
-    const today = new Date();
-    const diffTime = deadlineDate - today;
-    return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    const diffTime = new Date(deadline) - new Date();
+    const days = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    const hours = Math.floor(diffTime / (1000 * 60 * 60));
+    const fullDays = Math.floor(hours / 24);
+
+    let label;
+    if (diffTime <= 0) {
+      label = 'plazo vencido';
+    } else if (fullDays >= 1) {
+      label = `${fullDays} ${fullDays === 1 ? 'día' : 'días'}`;
+    } else if (hours >= 1) {
+      label = `${hours} ${hours === 1 ? 'hora' : 'horas'}`;
+    } else {
+      label = 'menos de 1 hora';
+    }
+
+    return { days, hours, label };
   }
 
   /**
-   * Crear match entre usuario y licitación
+   * Fila de user_tender_matches para un match nuevo
    * @param {Object} user
    * @param {Object} tender
-   * @param {number} matchScore
-   * @returns {Promise<Object>}
+   * @param {Object} match - { score, breakdown, lot } de calculateBestMatch, y
+   *   searchMatch ({ search, evidence }) si encaja con una búsqueda guardada
+   * @returns {Object}
    */
-  async createMatch(user, tender, matchScore) {
-    try {
-      // Verificar si ya existe el match
-      const { data: existing } = await supabase
-        .from('user_tender_matches')
-        .select('id')
-        .eq('user_id', user.user_id)
-        .eq('tender_id', tender.id)
-        .single();
-
-      if (existing) {
-        logger.debug(`⏭️ Match ya existe para usuario ${user.user_id} y licitación ${tender.id}`);
-        return null;
-      }
+  buildMatchRow(user, tender, { score, breakdown = [], lot = null, searchMatch = null }) {
+    // La búsqueda guardada no suma puntos, pero queda en el desglose
+    const scoreBreakdown = searchMatch
+      ? [...breakdown, {
+        factor: 'saved_search',
+        points: 0,
+        max: 0,
+        evidence: { saved_search_id: searchMatch.search.id, name: searchMatch.search.name, ...searchMatch.evidence }
+      }]
+      : breakdown;
+
+    return {
+      user_id: user.user_id,
+      tender_id: tender.id,
+      match_score: score,
+      match_reasons: this.getMatchReasons(lot ? this.getLotView(tender, lot) : tender, scoreBreakdown, score, lot),
+      score_breakdown: scoreBreakdown,
+      saved_search_id: searchMatch?.search.id || null,
+      lot_number: lot?.lot_number || null,
+      scoring_config_version: this.getScoringConfig(user).version,
+      status: 'new',
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Insertar los matches nuevos en bloque. Los pares (usuario, licitación)
+   * que ya existen se ignoran (índice único), así que un sync y un rematch a
+   * la vez no duplican. Si un bloque falla, se reintenta fila a fila para no
+   * perder el resto
+   * @param {Array} pending - [{ user, tender, row }]
+   * @returns {Promise<Array>} - Los que se han guardado
+   */
+  async insertMatches(pending) {
+    const created = [];
+    const pairKey = match => `${match.user_id}:${match.tender_id}`;
 
-      // Crear nuevo match
-      const { data: match, error } = await supabase
+    for (const entries of chunk(pending, MATCH_INSERT_CHUNK_SIZE)) {
+      const { data, error } = await supabase
         .from('user_tender_matches')
-        .insert({
-          user_id: user.user_id,
-          tender_id: tender.id,
-          match_score: matchScore,
-          match_reasons: this.getMatchReasons(tender, user, matchScore),
-          status: 'new',
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
+        .upsert(entries.map(entry => entry.row), { onConflict: 'user_id,tender_id', ignoreDuplicates: true })
+        .select('user_id, tender_id');
 
-      if (error) throw error;
+      if (!error) {
+        const inserted = new Set((data || []).map(pairKey));
+        created.push(...entries.filter(entry => inserted.has(pairKey(entry.row))));
+        continue;
+      }
 
-      logger.info(`✨ Match creado: ${user.company_name} - ${tender.title.substring(0, 50)}... (Score: ${matchScore})`);
+      logger.warn(`⚠️ Falló la inserción de ${entries.length} matches (${error.message}), reintentando uno a uno`);
 
-      return match;
+      for (const entry of entries) {
+        const { data: rows, error: rowError } = await supabase
+          .from('user_tender_matches')
+          .upsert(entry.row, { onConflict: 'user_id,tender_id', ignoreDuplicates: true })
+          .select('user_id, tender_id');
 
-    } catch (error) {
-      logger.error(`❌ Error creando match:`, error.message);
-      return null;
+        if (rowError) {
+          logger.error(`❌ Error creando match:`, rowError.message);
+        } else if (rows?.length > 0) {
+          created.push(entry);
+        }
+      }
     }
+
+    return created;
   }
 
   /**
-   * Generar razones del match
-   * @param {Object} tender
-   * @param {Object} user
+   * Generar razones del match a partir del desglose del score: solo se
+   * menciona lo que de verdad ha puntuado
+   * @param {Object} tender - Licitación (o vista del lote)
+   * @param {Array} breakdown - Desglose de scoreMatch
    * @param {number} score
+   * @param {Object|null} lot
    * @returns {Array}
    */
-  getMatchReasons(tender, user, score) {
+  getMatchReasons(tender, breakdown, score, lot = null) {
     const reasons = [];
+    const evidenceOf = factor => breakdown.find(item => item.factor === factor)?.evidence || {};
 
-    if (user.preferred_province === tender.province) {
-      reasons.push(`Ubicación: ${tender.province} (tu provincia preferida)`);
+    if (lot) {
+      reasons.push(`Lote ${lot.lot_number}${lot.title ? `: ${lot.title}` : ''}`);
     }
 
-    if (tender.budget && user.budget_min && user.budget_max) {
-      if (tender.budget >= user.budget_min && tender.budget <= user.budget_max) {
-        reasons.push(`Presupuesto: €${tender.budget.toLocaleString()} (dentro de tu rango)`);
-      }
+    const savedSearch = evidenceOf('saved_search');
+
+    if (savedSearch.saved_search_id) {
+      const matched = savedSearch.phrase || savedSearch.keyword || savedSearch.cpv_code;
+      reasons.push(`Búsqueda guardada: ${savedSearch.name}${matched ? ` ("${matched}")` : ''}`);
     }
 
-    if (user.sectors && user.sectors.length > 0) {
-      reasons.push(`Sector: ${tender.work_type}`);
+    const location = evidenceOf('location');
+
+    if (location.match === 'distance') {
+      reasons.push(`Distancia: ${Math.round(location.distance_km)} km desde tu base (máx. ${location.max_travel_km} km)`);
+    } else if (location.match === 'preferred_province') {
+      reasons.push(`Ubicación: ${location.province} (tu provincia preferida)`);
+    } else if (location.match === 'locations') {
+      reasons.push(`Ubicación: ${location.province} (una de tus zonas)`);
     }
 
-    if (tender.deadline) {
-      const days = this.getDaysUntilDeadline(tender.deadline);
-      reasons.push(`Plazo: ${days} días para presentar oferta`);
+    const budget = evidenceOf('budget');
+
+    if (budget.match === 'in_range') {
+      reasons.push(`Presupuesto: €${budget.budget.toLocaleString()} sin IVA (dentro de tu rango)`);
+    } else if (budget.match === 'near_range') {
+      reasons.push(`Presupuesto: €${budget.budget.toLocaleString()} sin IVA (cerca de tu rango)`);
+    }
+
+    const sector = evidenceOf('sector');
+
+    if (sector.match === 'cpv' || sector.match === 'cpv_near') {
+      const relation = sector.match === 'cpv' ? 'dentro de' : 'cerca de';
+      const keyword = sector.keyword ? `; "${sector.keyword}" en el título` : '';
+      reasons.push(`Sector: CPV ${sector.tender_cpv} ${sector.tender_cpv_label} (${relation} ${sector.user_cpv_label}${keyword})`);
+    } else if (sector.match === 'keyword') {
+      reasons.push(`Sector: ${sector.sector} ("${sector.keyword}" en el título)`);
+    }
+
+    if (tender.procedure_type) {
+      reasons.push(`Procedimiento: ${tender.procedure_type}${tender.urgency_code === '2' ? ' (urgente)' : ''}`);
+    }
+
+    const deadline = evidenceOf('deadline');
+
+    if (deadline.label) {
+      reasons.push(`Plazo: ${deadline.label} para presentar oferta`);
+    }
+
+    if (breakdown.some(item => item.factor === 'process')) {
+      reasons.push('Tramitación fuera de tus preferencias');
+    }
+
+    const learned = breakdown.find(item => item.factor === 'feedback');
+
+    if (learned) {
+      reasons.push(learned.points > 0
+        ? `Parecida a licitaciones que te interesaron (+${learned.points})`
+        : `Parecida a licitaciones que marcaste como no relevantes (${learned.points})`);
     }
 
     reasons.push(`Match score: ${score}/100`);
@@ -325,18 +1132,40 @@ class MatchingService {
   /**
    * Obtener matches pendientes de un usuario
    * @param {string} userId
+   * @param {Object} filters - { procedure_codes, contract_type_codes, urgency_codes, is_sara }
    * @returns {Promise<Array>}
    */
-  async getUserMatches(userId) {
+  async getUserMatches(userId, filters = {}) {
     try {
-      const { data: matches } = await supabase
+      const hasTenderFilters = Object.values(filters).some(value =>
+        Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null
+      );
+
+      // Con filtros sobre la licitación hace falta un inner join
+      let query = supabase
         .from('user_tender_matches')
         .select(`
           *,
-          tenders (*)
+          tenders${hasTenderFilters ? '!inner' : ''} (*, tender_lots (*), tender_documents (document_type, filename, url))
         `)
         .eq('user_id', userId)
         .in('status', ['new', 'viewed'])
+        .or('feedback.is.null,feedback.neq.not_relevant');
+
+      if (filters.procedure_codes?.length > 0) {
+        query = query.in('tenders.procedure_code', filters.procedure_codes);
+      }
+      if (filters.contract_type_codes?.length > 0) {
+        query = query.in('tenders.contract_type_code', filters.contract_type_codes);
+      }
+      if (filters.urgency_codes?.length > 0) {
+        query = query.in('tenders.urgency_code', filters.urgency_codes);
+      }
+      if (typeof filters.is_sara === 'boolean') {
+        query = query.eq('tenders.is_sara', filters.is_sara);
+      }
+
+      const { data: matches } = await query
         .order('match_score', { ascending: false })
         .order('created_at', { ascending: false });
 
@@ -1,6 +1,14 @@
 import axios from 'axios';
-import { parseStringPromise } from 'xml2js';
+import os from 'os';
+import path from 'path';
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdtemp, rm } from 'fs/promises';
+import { pipeline } from 'stream/promises';
 import { placspConfig } from '../config/placsp.js';
+import { streamAtomElements } from '../utils/atom-stream.js';
+import { canonicalProvince, resolveProvince } from '../utils/province-resolver.js';
+import { geocode } from '../utils/geocoder.js';
+import { madridDateTimeToISO } from '../utils/dates.js';
 import { logger } from '../utils/logger.js';
 
 class PLACSPApi {
@@ -17,31 +25,85 @@ class PLACSPApi {
   }
 
   /**
-   * Obtener y parsear el feed ATOM
-   * @returns {Promise<Array>} - Array de licitaciones
+   * Recorrer el feed ATOM en streaming siguiendo los enlaces rel="next"
+   * hasta llegar a la última entrada ya sincronizada
+   * @param {Object} options
+   * @param {string|null} options.since - `updated` de la última entrada sincronizada
+   * @param {number} options.maxPages - Tope de seguridad de páginas a recorrer
+   * @param {Object} progress - Se actualiza con { latestUpdated, pages, entries, complete }
+   * @returns {AsyncGenerator<Object>} - { name, node } para cada entry y cada
+   *   at:deleted-entry (licitación retirada) del feed, una a una
    */
-  async getFeed() {
+  async *streamFeed({ since = null, maxPages = placspConfig.maxPagesPerSync } = {}, progress = {}) {
+    const sinceTime = since ? Date.parse(since) : null;
+    const visited = new Set();
+    let reachedCursor = false;
+    let url = this.feedUrl;
+
+    Object.assign(progress, { latestUpdated: null, pages: 0, entries: 0, complete: false });
+
+    if (since) {
+      logger.info(`🔍 Obteniendo feed ATOM de PLACSP desde ${since}...`);
+    } else {
+      logger.info('🔍 Obteniendo feed ATOM de PLACSP (sin cursor previo)...');
+    }
+
     try {
-      logger.info('🔍 Obteniendo feed ATOM de PLACSP...');
-      
-      const response = await this.client.get(this.feedUrl);
-      
-      logger.info('✅ Feed descargado, parseando XML...');
-      
-      // Parsear XML a JSON
-      const parsed = await parseStringPromise(response.data, {
-        explicitArray: false,
-        mergeAttrs: true,
-        trim: true
-      });
+      while (url && progress.pages < maxPages && !visited.has(url)) {
+        visited.add(url);
+        progress.pages++;
 
-      // Extraer entries del feed
-      const entries = parsed.feed?.entry || [];
-      const entriesArray = Array.isArray(entries) ? entries : [entries];
-      
-      logger.info(`✅ Feed parseado: ${entriesArray.length} licitaciones encontradas`);
-      
-      return entriesArray;
+        const pageFile = await this.downloadPage(url);
+        let nextUrl = null;
+        let stop = false;
+
+        try {
+          for await (const { name, node } of this.parseFeed(createReadStream(pageFile))) {
+            if (name === 'link') {
+              if (node.rel === 'next') nextUrl = node.href;
+              continue;
+            }
+
+            const updated = name === 'entry' ? this.getEntryUpdated(node) : node.when;
+            const updatedTime = updated ? Date.parse(updated) : NaN;
+
+            // Entradas ya sincronizadas en ejecuciones anteriores
+            if (sinceTime && updatedTime <= sinceTime) {
+              reachedCursor = true;
+              continue;
+            }
+
+            if (!progress.latestUpdated || updatedTime > Date.parse(progress.latestUpdated)) {
+              progress.latestUpdated = updated;
+            }
+
+            progress.entries++;
+            yield { name, node };
+
+            // Sin cursor (primera sync) nos quedamos con las más recientes
+            if (!sinceTime && progress.entries >= placspConfig.maxEntriesToProcess) {
+              stop = true;
+              break;
+            }
+          }
+        } finally {
+          await rm(path.dirname(pageFile), { recursive: true, force: true });
+        }
+
+        logger.info(`📄 Página ${progress.pages} leída (${progress.entries} entradas nuevas acumuladas)`);
+
+        if (reachedCursor || stop) break;
+
+        url = nextUrl ? new URL(nextUrl, url).href : null;
+      }
+
+      progress.complete = !sinceTime || reachedCursor || !url;
+
+      if (!progress.complete) {
+        logger.warn(`⚠️ Alcanzado el tope de ${maxPages} páginas sin llegar a ${since}. Puede haber licitaciones sin sincronizar.`);
+      }
+
+      logger.info(`✅ Feed leído: ${progress.entries} licitaciones en ${progress.pages} páginas`);
 
     } catch (error) {
       logger.error('❌ Error obteniendo feed PLACSP:', error.message);
@@ -50,72 +112,118 @@ class PLACSPApi {
   }
 
   /**
-   * Obtener licitaciones de construcción filtradas por provincias de usuarios
-   * @param {Array} userProvinces - Array de provincias de usuarios
-   * @returns {Promise<Array>}
+   * Descargar una página del feed a un fichero temporal. Así la conexión
+   * HTTP no queda abierta mientras se guardan en BD los lotes de esa página
+   * @param {string} url
+   * @returns {Promise<string>} - Ruta del fichero descargado
    */
-  async getConstructionTendersByProvinces(userProvinces) {
+  async downloadPage(url) {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'placsp-'));
+    const file = path.join(dir, 'page.atom');
+
     try {
-      if (!userProvinces || userProvinces.length === 0) {
-        logger.warn('⚠️ No hay provincias de usuarios para filtrar');
-        return [];
-      }
+      const response = await this.client.get(url, { responseType: 'stream' });
+      await pipeline(response.data, createWriteStream(file));
+      return file;
+    } catch (error) {
+      await rm(dir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Parsear en streaming una página del feed ATOM
+   * @param {AsyncIterable<Buffer|string>} source - Stream con el XML
+   * @returns {AsyncGenerator<Object>} - { name, node } para cada entry, at:deleted-entry y link del feed
+   */
+  parseFeed(source) {
+    return streamAtomElements(source, { elements: ['entry', 'at:deleted-entry', 'link'] });
+  }
 
-      logger.info(`🔍 Filtrando por provincias: ${userProvinces.join(', ')}`);
+  /**
+   * Obtener la fecha `updated` de una entrada
+   * @param {Object} entry
+   * @returns {string|null}
+   */
+  getEntryUpdated(entry) {
+    return entry.updated?._ || entry.updated || null;
+  }
 
-      // 1. Obtener feed completo
-      const allEntries = await this.getFeed();
+  /**
+   * Obtener licitaciones de construcción vigentes en provincias de usuarios,
+   * en lotes de tamaño acotado a medida que se lee el feed
+   * @param {Array} userProvinces - Array de provincias de usuarios
+   * @param {Object} options - { since, maxPages, batchSize }
+   * @returns {AsyncGenerator<Object>} - { tenders, deletions, feed } con las licitaciones
+   *   retiradas en `deletions` y el progreso del feed en `feed`.
+   *   El último lote se emite siempre (aunque venga vacío) con el progreso final
+   */
+  async *streamConstructionTenders(userProvinces, { batchSize = placspConfig.batchSize, ...feedOptions } = {}) {
+    const feed = {};
 
-      // 2. Limitar a las primeras N entradas para no saturar
-      const entriesToProcess = allEntries.slice(0, placspConfig.maxEntriesToProcess);
-      logger.info(`📦 Procesando ${entriesToProcess.length} licitaciones...`);
+    if (!userProvinces || userProvinces.length === 0) {
+      logger.warn('⚠️ No hay provincias de usuarios para filtrar');
+      yield { tenders: [], deletions: [], feed: { latestUpdated: null, pages: 0, entries: 0, complete: true } };
+      return;
+    }
 
-      // 3. Filtrar por construcción
-      logger.info('🔍 Filtrando por sector construcción...');
-      const constructionEntries = this.filterByConstruction(entriesToProcess);
-      logger.info(`✅ ${constructionEntries.length} licitaciones de construcción`);
+    logger.info(`🔍 Filtrando por provincias: ${userProvinces.join(', ')}`);
 
-      // 4. Filtrar por provincias de usuarios
-      logger.info('🔍 Filtrando por provincias de usuarios...');
-      const filteredByProvince = this.filterByProvinces(constructionEntries, userProvinces);
-      logger.info(`✅ ${filteredByProvince.length} licitaciones en provincias con usuarios`);
+    let pendingEntries = [];
+    let deletions = [];
 
-      // 5. Transformar a formato útil
-      const tenders = filteredByProvince
-        .map(entry => this.transformEntry(entry))
-        .filter(t => t !== null);
+    const selectBatch = () => {
+      const batch = {
+        tenders: this.selectOpenTenders(this.selectConstructionTenders(pendingEntries, userProvinces)),
+        deletions,
+        feed
+      };
+      pendingEntries = [];
+      deletions = [];
+      return batch;
+    };
+
+    for await (const { name, node } of this.streamFeed(feedOptions, feed)) {
+      if (name === 'entry') {
+        pendingEntries.push(node);
+      } else {
+        deletions.push(this.transformDeletedEntry(node));
+      }
 
-      // ✅ 6. NUEVO: Filtrar solo licitaciones NO VENCIDAS
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+      if (pendingEntries.length + deletions.length >= batchSize) {
+        const batch = selectBatch();
+        if (batch.tenders.length > 0 || batch.deletions.length > 0) yield batch;
+      }
+    }
 
-      const validTenders = tenders.filter(tender => {
-        if (!tender.deadline) return false;
-        
-        try {
-          const deadlineDate = new Date(tender.deadline);
-          deadlineDate.setHours(0, 0, 0, 0);
-          
-          return deadlineDate >= today;
-        } catch (error) {
-          return false;
-        }
-      });
+    yield selectBatch();
+  }
 
-      logger.info(`✅ Licitaciones VIGENTES (no vencidas): ${validTenders.length}`);
+  /**
+   * Obtener licitaciones de construcción filtradas por provincias de usuarios
+   * (todas juntas; para sync usar streamConstructionTenders)
+   * @param {Array} userProvinces - Array de provincias de usuarios
+   * @param {Object} feedOptions - Opciones de paginación para streamFeed
+   * @returns {Promise<Object>} - { tenders, latestUpdated, pages, complete }
+   */
+  async getConstructionTendersByProvinces(userProvinces, feedOptions = {}) {
+    try {
+      const tenders = [];
+      let feed = {};
 
-      if (validTenders.length > 0) {
-        const deadlines = validTenders
-          .map(t => t.deadline)
-          .filter(Boolean)
-          .sort();
-        
-        if (deadlines.length > 0) {
-          logger.info(`📅 Deadlines: desde ${deadlines[0]} hasta ${deadlines[deadlines.length - 1]}`);
-        }
+      for await (const batch of this.streamConstructionTenders(userProvinces, feedOptions)) {
+        tenders.push(...batch.tenders);
+        feed = batch.feed;
       }
 
-      return validTenders;
+      logger.info(`✅ Licitaciones VIGENTES (no vencidas): ${tenders.length}`);
+
+      return {
+        tenders,
+        latestUpdated: feed.latestUpdated,
+        pages: feed.pages,
+        complete: feed.complete
+      };
 
     } catch (error) {
       logger.error('❌ Error obteniendo licitaciones:', error.message);
@@ -124,19 +232,85 @@ class PLACSPApi {
   }
 
   /**
-   * Filtrar solo licitaciones de construcción (CPV 45*)
+   * Filtrar solo licitaciones NO VENCIDAS (más las anuladas y las que traen
+   * resultado de adjudicación, que se guardan aunque hayan vencido)
+   * @param {Array} tenders
+   * @returns {Array}
+   */
+  selectOpenTenders(tenders) {
+    const now = Date.now();
+
+    const validTenders = tenders.filter(tender => {
+      // Las anuladas pasan siempre: hay que cerrar sus matches abiertos
+      if (tender.status === 'ANUL') return true;
+
+      // Las adjudicadas/resueltas también: guardamos el resultado
+      if (tender.awards?.length > 0) return true;
+
+      if (!tender.deadline) return false;
+
+      // El deadline ya es un instante exacto (hora de Madrid convertida a UTC)
+      const deadlineTime = Date.parse(tender.deadline);
+      return !Number.isNaN(deadlineTime) && deadlineTime > now;
+    });
+
+    if (validTenders.length > 0) {
+      const deadlines = validTenders
+        .map(t => t.deadline)
+        .filter(Boolean)
+        .sort();
+      
+      if (deadlines.length > 0) {
+        logger.info(`📅 Deadlines: desde ${deadlines[0]} hasta ${deadlines[deadlines.length - 1]}`);
+      }
+    }
+
+    return validTenders;
+  }
+
+  /**
+   * Filtrar entradas de construcción en provincias de usuarios y transformarlas
+   * @param {Array} entries - Entradas del feed ATOM
+   * @param {Array} userProvinces - Array de provincias de usuarios
+   * @returns {Array}
+   */
+  selectConstructionTenders(entries, userProvinces) {
+    // Filtrar por construcción
+    logger.info('🔍 Filtrando por sector construcción...');
+    const constructionEntries = this.filterByConstruction(entries);
+    logger.info(`✅ ${constructionEntries.length} licitaciones de construcción`);
+
+    // Filtrar por provincias de usuarios
+    logger.info('🔍 Filtrando por provincias de usuarios...');
+    const filteredByProvince = this.filterByProvinces(constructionEntries, userProvinces);
+    logger.info(`✅ ${filteredByProvince.length} licitaciones en provincias con usuarios`);
+
+    // Transformar a formato útil
+    const tenders = filteredByProvince
+      .map(entry => this.transformEntry(entry))
+      .filter(t => t !== null);
+
+    // Filtrar por presupuesto (MIN_BUDGET / MAX_BUDGET, sin impuestos)
+    const withinBudget = tenders.filter(tender => this.isWithinBudgetLimits(tender));
+    if (withinBudget.length < tenders.length) {
+      logger.info(`💶 ${tenders.length - withinBudget.length} licitaciones fuera de los límites de presupuesto`);
+    }
+
+    return withinBudget;
+  }
+
+  /**
+   * Filtrar solo licitaciones de construcción (algún CPV 45*)
    * @param {Array} entries
    * @returns {Array}
    */
   filterByConstruction(entries) {
     return entries.filter(entry => {
       try {
-        const cpvCode = this.extractCPV(entry);
-        
-        if (!cpvCode) return false;
+        const cpvCodes = this.extractCPVCodes(entry);
 
-        // Verificar si empieza por 45 (construcción)
-        return cpvCode.toString().startsWith('45');
+        // Verificar si alguno empieza por 45 (construcción), aunque no sea el principal
+        return cpvCodes.some(code => code.startsWith('45'));
 
       } catch (error) {
         return false;
@@ -145,152 +319,348 @@ class PLACSPApi {
   }
 
   /**
-   * Filtrar por provincias de usuarios
+   * Filtrar por provincias de usuarios: entra el expediente si su provincia
+   * o la de alguno de sus lotes es de un usuario
    * @param {Array} entries
-   * @param {Array} provinces
+   * @param {Array} provinces - Provincias en cualquiera de sus variantes (se comparan por nombre canónico)
    * @returns {Array}
    */
   filterByProvinces(entries, provinces) {
-    const provincesLower = provinces.map(p => this.normalizeProvince(p));
+    const wanted = new Set(provinces.map(p => canonicalProvince(p)).filter(Boolean));
+
+    const located = entries.map(entry => ({ entry, provinces: this.extractProvinces(entry) }));
 
     // DEBUG: Ver qué provincias tienen las licitaciones
-    const foundProvinces = new Set();
-    entries.forEach(entry => {
-      const province = this.extractProvince(entry);
-      if (province) foundProvinces.add(province);
-    });
-    
+    const foundProvinces = new Set(located.flatMap(item => item.provinces));
+
     logger.info(`🔍 DEBUG - Provincias encontradas en licitaciones: ${Array.from(foundProvinces).join(', ')}`);
-    logger.info(`🔍 DEBUG - Provincias buscadas: ${provinces.join(', ')}`);
+    logger.info(`🔍 DEBUG - Provincias buscadas: ${Array.from(wanted).join(', ')}`);
 
-    return entries.filter(entry => {
-      try {
-        const province = this.extractProvince(entry);
-        
-        if (!province) return false;
+    return located
+      .filter(({ provinces: entryProvinces }) => {
+        const matched = entryProvinces.filter(province => wanted.has(province));
 
-        const normalizedProvince = this.normalizeProvince(province);
-        const match = provincesLower.includes(normalizedProvince);
-        
-        if (match) {
-          logger.info(`✅ Match encontrado: ${province}`);
+        if (matched.length > 0) {
+          logger.info(`✅ Match encontrado: ${matched.join(', ')}`);
         }
-        
-        return match;
 
-      } catch (error) {
-        return false;
-      }
-    });
+        return matched.length > 0;
+      })
+      .map(({ entry }) => entry);
   }
 
   /**
-   * Extraer código CPV del entry
+   * Extraer código CPV principal del entry
    * @param {Object} entry
    * @returns {string|null}
    */
   extractCPV(entry) {
+    return this.extractCPVCodes(entry)[0] || null;
+  }
+
+  /**
+   * Extraer todos los códigos CPV del entry: primero los del expediente
+   * (principal + adicionales) y después los de cada lote, sin repetir
+   * @param {Object} entry
+   * @returns {Array<string>}
+   */
+  extractCPVCodes(entry) {
     try {
       const contractFolder = entry['cac-place-ext:ContractFolderStatus'] || entry.ContractFolderStatus;
       
-      if (!contractFolder) return null;
-
-      const procurementProject = contractFolder['cac:ProcurementProject'];
-      if (!procurementProject) return null;
+      if (!contractFolder) return [];
 
-      const requiredCommodity = procurementProject['cac:RequiredCommodityClassification'];
-      if (!requiredCommodity) return null;
+      const codes = this.extractProjectCPVs(contractFolder['cac:ProcurementProject']);
 
-      const itemClass = Array.isArray(requiredCommodity) 
-        ? requiredCommodity[0]['cbc:ItemClassificationCode']
-        : requiredCommodity['cbc:ItemClassificationCode'];
+      this.toArray(contractFolder['cac:ProcurementProjectLot']).forEach(lot => {
+        codes.push(...this.extractProjectCPVs(lot['cac:ProcurementProject']));
+      });
 
-      return itemClass?._ || itemClass || null;
+      return [...new Set(codes)];
 
     } catch (error) {
-      return null;
+      return [];
     }
   }
 
   /**
-   * Extraer provincia del entry (busca en múltiples lugares)
+   * Extraer provincia del entry (nombre canónico)
    * @param {Object} entry
    * @returns {string|null}
    */
   extractProvince(entry) {
+    return this.extractProvinceInfo(entry).province;
+  }
+
+  /**
+   * Extraer las provincias del entry: la del expediente y las de sus lotes,
+   * sin repetir (nombres canónicos)
+   * @param {Object} entry
+   * @returns {Array<string>}
+   */
+  extractProvinces(entry) {
     try {
-      // Método 1: Buscar en campos estructurados
       const contractFolder = entry['cac-place-ext:ContractFolderStatus'] || entry.ContractFolderStatus;
-      
-      if (contractFolder) {
-        const locatedContract = contractFolder['cac:ProcurementProject']?.['cac:RealizedLocation'];
-        if (locatedContract) {
-          const address = Array.isArray(locatedContract)
-            ? locatedContract[0]['cac:Address']
-            : locatedContract['cac:Address'];
-
-          const province = address?.['cbc:CountrySubentityCode'] || address?.['cbc:CountrySubentity'];
-          if (province?._ || province) {
-            return province?._ || province;
-          }
-        }
-      }
+      const provinces = [this.extractProvince(entry)];
+
+      this.toArray(contractFolder?.['cac:ProcurementProjectLot']).forEach(lot => {
+        provinces.push(this.extractProjectProvince(lot['cac:ProcurementProject']));
+      });
+
+      return [...new Set(provinces.filter(Boolean))];
+
+    } catch (error) {
+      return [];
+    }
+  }
 
-      // Método 2: Buscar en el título y descripción
+  /**
+   * Resolver la provincia del entry: primero el código NUTS y el nombre del
+   * lugar de ejecución, y si no hay, el título, el resumen y el organismo
+   * @param {Object} entry
+   * @returns {Object} - { province, region, nuts_code, confidence, source }
+   */
+  extractProvinceInfo(entry) {
+    try {
+      const contractFolder = entry['cac-place-ext:ContractFolderStatus'] || entry.ContractFolderStatus;
       const title = entry.title?._ || entry.title || '';
       const summary = entry.summary?._ || entry.summary || '';
-      const text = `${title} ${summary}`.toLowerCase();
-
-      // Lista de provincias españolas
-      const provincias = [
-        'álava', 'albacete', 'alicante', 'almería', 'asturias', 'ávila',
-        'badajoz', 'barcelona', 'burgos', 'cáceres', 'cádiz', 'cantabria',
-        'castellón', 'ciudad real', 'córdoba', 'cuenca', 'gerona', 'girona', 'granada',
-        'guadalajara', 'guipúzcoa', 'gipuzkoa', 'huelva', 'huesca', 'baleares',
-        'jaén', 'coruña', 'rioja', 'palmas', 'león', 'lérida', 'lleida',
-        'lugo', 'madrid', 'málaga', 'malaga', 'murcia', 'navarra', 'orense', 'ourense', 'palencia',
-        'pontevedra', 'salamanca', 'tenerife', 'segovia',
-        'sevilla', 'soria', 'tarragona', 'teruel', 'toledo', 'valencia',
-        'valladolid', 'vizcaya', 'bizkaia', 'zamora', 'zaragoza'
-      ];
-
-      for (const provincia of provincias) {
-        if (text.includes(provincia)) {
-          // Capitalizar primera letra
-          return provincia.charAt(0).toUpperCase() + provincia.slice(1);
-        }
-      }
 
-      // Método 3: Buscar en organismo contratante
-      const contractingBody = this.extractContractingBody(contractFolder);
-      const bodyText = contractingBody.toLowerCase();
-      
-      for (const provincia of provincias) {
-        if (bodyText.includes(provincia)) {
-          return provincia.charAt(0).toUpperCase() + provincia.slice(1);
+      return resolveProvince({
+        ...this.extractProjectSubentity(contractFolder?.['cac:ProcurementProject']),
+        texts: [title, summary, contractFolder ? this.extractContractingBody(contractFolder) : '']
+      });
+
+    } catch (error) {
+      return resolveProvince();
+    }
+  }
+
+  /**
+   * Extraer provincia de los campos estructurados de un ProcurementProject
+   * @param {Object} project - cac:ProcurementProject (del expediente o de un lote)
+   * @returns {string|null}
+   */
+  extractProjectProvince(project) {
+    return resolveProvince(this.extractProjectSubentity(project)).province;
+  }
+
+  /**
+   * Extraer el código NUTS y el nombre de la subentidad del lugar de
+   * ejecución. PLACSP los pone directamente en cac:RealizedLocation; algunos
+   * órganos los repiten dentro de cac:Address
+   * @param {Object} project
+   * @returns {Object} - { code, name }
+   */
+  extractProjectSubentity(project) {
+    const realizedLocation = this.firstOf(project?.['cac:RealizedLocation']) || {};
+    const address = realizedLocation['cac:Address'] || {};
+
+    const code = realizedLocation['cbc:CountrySubentityCode'] || address['cbc:CountrySubentityCode'];
+    const name = realizedLocation['cbc:CountrySubentity'] || address['cbc:CountrySubentity'];
+
+    return {
+      code: code?._ || code || null,
+      name: name?._ || name || null
+    };
+  }
+
+  /**
+   * Extraer el lugar de ejecución legible de un ProcurementProject
+   * @param {Object} project
+   * @returns {string|null}
+   */
+  extractProjectLocation(project) {
+    const realizedLocation = this.firstOf(project?.['cac:RealizedLocation']);
+    if (!realizedLocation) return null;
+
+    const city = realizedLocation['cac:Address']?.['cbc:CityName'];
+    const subentity = realizedLocation['cbc:CountrySubentity'];
+
+    const parts = [city?._ || city, subentity?._ || subentity].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : null;
+  }
+
+  /**
+   * Extraer municipio y código postal del lugar de ejecución y geocodificarlo
+   * con el dataset offline de municipios
+   * @param {Object} project
+   * @param {string|null} province - Provincia ya resuelta (por si no hay código postal)
+   * @returns {Object} - { municipality, postal_code, latitude, longitude, geo_precision, municipality_code }
+   */
+  extractProjectGeo(project, province) {
+    const address = this.firstOf(project?.['cac:RealizedLocation'])?.['cac:Address'] || {};
+    const city = address['cbc:CityName'];
+    const postalZone = address['cbc:PostalZone'];
+
+    const municipality = city?._ || city || null;
+    const postalCode = (postalZone?._ || postalZone || '').toString() || null;
+
+    return {
+      municipality,
+      postal_code: postalCode,
+      ...geocode({ municipality, postalCode, province })
+    };
+  }
+
+  /**
+   * Extraer todos los códigos CPV de un ProcurementProject
+   * @param {Object} project
+   * @returns {Array<string>}
+   */
+  extractProjectCPVs(project) {
+    const classifications = this.toArray(project?.['cac:RequiredCommodityClassification']);
+
+    const codes = classifications
+      .map(c => c?.['cbc:ItemClassificationCode'])
+      .map(code => code?._ || code)
+      .filter(Boolean)
+      .map(code => code.toString());
+
+    return [...new Set(codes)];
+  }
+
+  /**
+   * Extraer los lotes (cac:ProcurementProjectLot) del expediente
+   * @param {Object} contractFolder
+   * @returns {Array} - [{ lot_number, title, budget, budget_total, estimated_value, budget_currency, cpv_codes, province, location, municipality, postal_code, municipality_code, latitude, longitude, geo_precision }]
+   */
+  extractLots(contractFolder) {
+    try {
+      const lots = this.toArray(contractFolder?.['cac:ProcurementProjectLot']);
+
+      return lots.map((lot, index) => {
+        const project = lot['cac:ProcurementProject'] || {};
+        const lotId = lot['cbc:ID'];
+        const name = project['cbc:Name'];
+        const province = this.extractProjectProvince(project);
+
+        return {
+          lot_number: (lotId?._ || lotId || String(index + 1)).toString(),
+          title: name?._ || name || null,
+          ...this.extractBudgetAmounts(project),
+          cpv_codes: this.extractProjectCPVs(project),
+          province,
+          location: this.extractProjectLocation(project),
+          ...this.extractProjectGeo(project, province)
+        };
+      });
+
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Extraer los documentos de la licitación (pliegos y anexos)
+   * @param {Object} contractFolder
+   * @returns {Array} - [{ document_type, filename, url }]
+   */
+  extractDocuments(contractFolder) {
+    try {
+      const references = {
+        pcap: contractFolder?.['cac:LegalDocumentReference'],
+        ppt: contractFolder?.['cac:TechnicalDocumentReference'],
+        anexo: contractFolder?.['cac:AdditionalDocumentReference']
+      };
+
+      const documents = [];
+
+      for (const [documentType, value] of Object.entries(references)) {
+        for (const reference of this.toArray(value)) {
+          const id = reference['cbc:ID'];
+          const uri = reference['cac:Attachment']?.['cac:ExternalReference']?.['cbc:URI'];
+          const url = uri?._ || uri;
+
+          if (!url) continue;
+
+          documents.push({
+            document_type: documentType,
+            filename: id?._ || id || null,
+            url
+          });
         }
       }
 
-      return null;
+      return documents;
 
     } catch (error) {
-      return null;
+      return [];
     }
   }
 
   /**
-   * Normalizar nombre de provincia
-   * @param {string} province
-   * @returns {string}
+   * Extraer los resultados de adjudicación (cac:TenderResult), uno por lote
+   * adjudicado o uno para todo el expediente
+   * @param {Object} contractFolder
+   * @returns {Array}
    */
-  normalizeProvince(province) {
-    if (!province) return '';
-    
-    return province
-      .toLowerCase()
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '')
-      .trim();
+  extractAwards(contractFolder) {
+    try {
+      const text = value => {
+        const result = value?._ || value;
+        return result ? result.toString() : null;
+      };
+
+      return this.toArray(contractFolder?.['cac:TenderResult']).map(result => {
+        const winner = this.firstOf(result['cac:WinningParty']) || {};
+        const awarded = result['cac:AwardedTenderedProject'] || {};
+        const total = awarded['cac:LegalMonetaryTotal'] || {};
+        const offers = parseInt(text(result['cbc:ReceivedTenderQuantity']), 10);
+        const awardedAmount = this.parseAmount(total['cbc:TaxExclusiveAmount']);
+
+        return {
+          lot_number: text(awarded['cbc:ProcurementProjectLotID']),
+          result_code: text(result['cbc:ResultCode']),
+          result_description: text(result['cbc:Description']),
+          award_date: text(result['cbc:AwardDate']),
+          offers_received: Number.isNaN(offers) ? null : offers,
+          winner_name: text(winner['cac:PartyName']?.['cbc:Name']),
+          winner_nif: text(winner['cac:PartyIdentification']?.['cbc:ID']),
+          awarded_amount: awardedAmount.amount,
+          awarded_amount_total: this.parseAmount(total['cbc:PayableAmount']).amount,
+          lowest_offer: this.parseAmount(result['cbc:LowerTenderAmount']).amount,
+          highest_offer: this.parseAmount(result['cbc:HigherTenderAmount']).amount,
+          currency: awardedAmount.currency
+        };
+      });
+
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Parsear un importe con currencyID
+   * @param {Object|string} node
+   * @returns {Object} - { amount, currency }
+   */
+  parseAmount(node) {
+    const value = parseFloat(node?._ ?? node);
+
+    return {
+      amount: Number.isFinite(value) ? value : null,
+      currency: node?.currencyID || null
+    };
+  }
+
+  /**
+   * Normalizar un valor de xml2js a array
+   * @param {*} value
+   * @returns {Array}
+   */
+  toArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Primer elemento de un valor de xml2js (objeto o array)
+   * @param {*} value
+   * @returns {*}
+   */
+  firstOf(value) {
+    return Array.isArray(value) ? value[0] : value;
   }
 
   /**
@@ -302,6 +672,7 @@ class PLACSPApi {
     try {
       const contractFolder = entry['cac-place-ext:ContractFolderStatus'] || entry.ContractFolderStatus;
       const procurement = contractFolder?.['cac:ProcurementProject'] || {};
+      const location = this.extractProvinceInfo(entry);
 
       return {
         id: entry.id || entry['cbc:ID'],
@@ -313,16 +684,27 @@ class PLACSPApi {
         
         contract_folder_id: contractFolder?.['cbc:ContractFolderID'] || null,
         cpv_code: this.extractCPV(entry),
-        province: this.extractProvince(entry),
-        budget: this.extractBudget(procurement),
+        cpv_codes: this.extractCPVCodes(entry),
+        province: location.province,
+        province_confidence: location.confidence,
+        nuts_code: location.nuts_code,
+        ...this.extractProjectGeo(procurement, location.province),
+        ...this.extractBudgetAmounts(procurement),
         description: procurement['cbc:Description'] || '',
         deadline: this.extractDeadline(contractFolder),
         
         contracting_body: this.extractContractingBody(contractFolder),
+        contracting_party: this.extractContractingParty(contractFolder),
         
         status: this.extractStatus(contractFolder),
-        
-        raw_xml: entry
+
+        ...this.extractProcessInfo(contractFolder),
+
+        lots: this.extractLots(contractFolder),
+
+        documents: this.extractDocuments(contractFolder),
+
+        awards: this.extractAwards(contractFolder)
       };
 
     } catch (error) {
@@ -332,30 +714,73 @@ class PLACSPApi {
   }
 
   /**
-   * Extraer presupuesto
-   * @param {Object} procurement
-   * @returns {number|null}
+   * Transformar un at:deleted-entry (licitación retirada o anulada)
+   * @param {Object} deletedEntry
+   * @returns {Object} - { ref, when }
    */
-  extractBudget(procurement) {
-    try {
-      const budgetAmount = procurement['cbc:BudgetAmount'];
-      const amount = budgetAmount?._ || budgetAmount;
-      return amount ? parseFloat(amount) : null;
-    } catch (error) {
-      return null;
-    }
+  transformDeletedEntry(deletedEntry) {
+    return {
+      ref: deletedEntry.ref,
+      when: deletedEntry.when || null
+    };
+  }
+
+  /**
+   * Extraer los importes de cac:BudgetAmount: presupuesto sin impuestos
+   * (TaxExclusiveAmount), presupuesto con impuestos (TotalAmount) y valor
+   * estimado del contrato (EstimatedOverallContractAmount)
+   * @param {Object} procurement - cac:ProcurementProject (del expediente o de un lote)
+   * @returns {Object} - { budget, budget_total, estimated_value, budget_currency }
+   */
+  extractBudgetAmounts(procurement) {
+    const budgetAmount = procurement?.['cac:BudgetAmount'] || {};
+
+    const taxExclusive = this.parseAmount(budgetAmount['cbc:TaxExclusiveAmount']);
+    const total = this.parseAmount(budgetAmount['cbc:TotalAmount']);
+    const estimated = this.parseAmount(budgetAmount['cbc:EstimatedOverallContractAmount']);
+
+    return {
+      budget: taxExclusive.amount,
+      budget_total: total.amount,
+      estimated_value: estimated.amount,
+      budget_currency: taxExclusive.currency || total.currency || estimated.currency
+    };
+  }
+
+  /**
+   * Comprobar los límites MIN_BUDGET / MAX_BUDGET sobre el presupuesto sin
+   * impuestos. Pasa si lo cumple la licitación completa o alguno de sus
+   * lotes, y también si no se conoce ningún presupuesto
+   * @param {Object} tender - Licitación transformada
+   * @returns {boolean}
+   */
+  isWithinBudgetLimits(tender) {
+    const { minBudget, maxBudget } = placspConfig;
+    if (minBudget === null && maxBudget === null) return true;
+
+    const budgets = [tender.budget, ...(tender.lots || []).map(lot => lot.budget)]
+      .filter(budget => budget !== null && budget !== undefined);
+
+    if (budgets.length === 0) return true;
+
+    return budgets.some(budget =>
+      (minBudget === null || budget >= minBudget) &&
+      (maxBudget === null || budget <= maxBudget)
+    );
   }
 
   /**
-   * Extraer fecha límite
+   * Extraer fecha límite de presentación (EndDate + EndTime, hora de Madrid)
    * @param {Object} contractFolder
-   * @returns {string|null}
+   * @returns {string|null} - Timestamp ISO
    */
   extractDeadline(contractFolder) {
     try {
       const tenderSubmission = contractFolder['cac:TenderingProcess']?.['cac:TenderSubmissionDeadlinePeriod'];
-      const deadline = tenderSubmission?.['cbc:EndDate'];
-      return deadline?._ || deadline || null;
+      const endDate = tenderSubmission?.['cbc:EndDate'];
+      const endTime = tenderSubmission?.['cbc:EndTime'];
+
+      return madridDateTimeToISO(endDate?._ || endDate, endTime?._ || endTime);
     } catch (error) {
       return null;
     }
@@ -368,7 +793,7 @@ class PLACSPApi {
    */
   extractContractingBody(contractFolder) {
     try {
-      const party = contractFolder['cac:LocatedContractingParty']?.['cac:Party'];
+      const party = this.getLocatedContractingParty(contractFolder)?.['cac:Party'];
       const name = party?.['cac:PartyName']?.['cbc:Name'];
       return name?._ || name || 'No especificado';
     } catch (error) {
@@ -376,6 +801,101 @@ class PLACSPApi {
     }
   }
 
+  /**
+   * Nodo del órgano de contratación (PLACSP usa la extensión cac-place-ext:)
+   * @param {Object} contractFolder
+   * @returns {Object|null}
+   */
+  getLocatedContractingParty(contractFolder) {
+    return contractFolder?.['cac-place-ext:LocatedContractingParty'] ||
+      contractFolder?.['cac:LocatedContractingParty'] ||
+      null;
+  }
+
+  /**
+   * Extraer la identidad y el contacto del órgano de contratación: NIF,
+   * código DIR3, id en la plataforma, perfil del contratante, dirección y contacto
+   * @param {Object} contractFolder
+   * @returns {Object|null}
+   */
+  extractContractingParty(contractFolder) {
+    try {
+      const located = this.getLocatedContractingParty(contractFolder);
+      if (!located) return null;
+
+      const text = value => {
+        const result = value?._ || value;
+        return result ? result.toString() : null;
+      };
+
+      const party = located['cac:Party'] || {};
+      const address = party['cac:PostalAddress'] || {};
+      const contact = party['cac:Contact'] || {};
+
+      const identifiers = {};
+      this.toArray(party['cac:PartyIdentification']).forEach(identification => {
+        const id = identification['cbc:ID'];
+        if (id?.schemeName) identifiers[id.schemeName] = text(id);
+      });
+
+      const addressLines = this.toArray(address['cac:AddressLine'])
+        .map(line => text(line['cbc:Line']))
+        .filter(Boolean);
+
+      return {
+        name: text(party['cac:PartyName']?.['cbc:Name']),
+        nif: identifiers.NIF || null,
+        dir3: identifiers.DIR3 || null,
+        platform_id: identifiers.ID_PLATAFORMA || null,
+        party_type_code: text(located['cbc:ContractingPartyTypeCode']),
+        buyer_profile_url: text(located['cbc:BuyerProfileURIID']),
+        website: text(party['cbc:WebsiteURI']),
+        address: addressLines.join(', ') || null,
+        city: text(address['cbc:CityName']),
+        postal_code: text(address['cbc:PostalZone']),
+        country_code: text(address['cac:Country']?.['cbc:IdentificationCode']),
+        contact_name: text(contact['cbc:Name']),
+        contact_email: text(contact['cbc:ElectronicMail']),
+        contact_phone: text(contact['cbc:Telephone']),
+        contact_fax: text(contact['cbc:Telefax'])
+      };
+
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Extraer procedimiento, tipo de contrato, tramitación y sujeción a
+   * regulación armonizada (SARA)
+   * @param {Object} contractFolder
+   * @returns {Object}
+   */
+  extractProcessInfo(contractFolder) {
+    const text = value => {
+      const result = value?._ || value;
+      return result ? result.toString() : null;
+    };
+
+    const process = contractFolder?.['cac:TenderingProcess'] || {};
+    const procurement = contractFolder?.['cac:ProcurementProject'] || {};
+
+    const procedureCode = text(process['cbc:ProcedureCode']);
+    const contractTypeCode = text(procurement['cbc:TypeCode']);
+    const urgencyCode = text(process['cbc:UrgencyCode']);
+    const overThreshold = text(process['cbc-place-ext:OverThresholdIndicator']);
+
+    return {
+      procedure_code: procedureCode,
+      procedure_type: placspConfig.procedureTypes[procedureCode] || null,
+      contract_type_code: contractTypeCode,
+      contract_type: placspConfig.contractTypes[contractTypeCode] || null,
+      urgency_code: urgencyCode,
+      urgency: placspConfig.urgencyTypes[urgencyCode] || null,
+      is_sara: overThreshold === null ? null : overThreshold === 'true'
+    };
+  }
+
   /**
    * Extraer estado
    * @param {Object} contractFolder
@@ -383,7 +903,9 @@ class PLACSPApi {
    */
   extractStatus(contractFolder) {
     try {
-      const statusCode = contractFolder['cbc:ContractFolderStatusCode'];
+      // En el feed real viene como cbc-place-ext:ContractFolderStatusCode
+      const statusCode = contractFolder['cbc-place-ext:ContractFolderStatusCode'] ||
+        contractFolder['cbc:ContractFolderStatusCode'];
       return statusCode?._ || statusCode || 'PUB';
     } catch (error) {
       return 'PUB';
@@ -0,0 +1,333 @@
+import { supabase } from '../config/supabase.js';
+import { canonicalProvince, normalizeText, sameProvince } from '../utils/province-resolver.js';
+
+// Campos editables de saved_searches
+const SEARCH_FIELDS = [
+  'name',
+  'include_keywords',
+  'exclude_keywords',
+  'phrases',
+  'cpv_prefixes',
+  'provinces',
+  'budget_min',
+  'budget_max',
+  'contracting_body_ids',
+  'is_active'
+];
+
+const LIST_FIELDS = ['include_keywords', 'exclude_keywords', 'phrases', 'cpv_prefixes', 'provinces', 'contracting_body_ids'];
+
+// Ids por consulta en los filtros .in()
+const IN_FILTER_CHUNK_SIZE = 150;
+
+class SavedSearchService {
+  /**
+   * Validar los datos de una búsqueda guardada
+   * @param {Object} input - Cuerpo de la petición
+   * @param {Object} options
+   * @param {boolean} options.partial - En una actualización no hace falta el nombre
+   * @returns {Array<string>} - Errores (vacío si es válida)
+   */
+  validateSearch(input, { partial = false } = {}) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object') {
+      return ['El cuerpo debe ser un objeto JSON'];
+    }
+
+    if (!partial || 'name' in input) {
+      if (typeof input.name !== 'string' || input.name.trim() === '') {
+        errors.push('name es obligatorio');
+      }
+    }
+
+    for (const field of LIST_FIELDS) {
+      if (field in input && input[field] !== null &&
+          (!Array.isArray(input[field]) || input[field].some(value => typeof value !== 'string'))) {
+        errors.push(`${field} debe ser una lista de textos`);
+      }
+    }
+
+    for (const field of ['budget_min', 'budget_max']) {
+      if (field in input && input[field] !== null && !(Number(input[field]) >= 0)) {
+        errors.push(`${field} debe ser un importe positivo`);
+      }
+    }
+
+    if (input.budget_min != null && input.budget_max != null && Number(input.budget_min) > Number(input.budget_max)) {
+      errors.push('budget_min no puede ser mayor que budget_max');
+    }
+
+    if (Array.isArray(input.cpv_prefixes) && input.cpv_prefixes.some(prefix => !/^\d{1,8}$/.test(prefix.trim()))) {
+      errors.push('cpv_prefixes debe contener solo dígitos (p.ej. "4526")');
+    }
+
+    if (Array.isArray(input.provinces)) {
+      const unknown = input.provinces.filter(province => !canonicalProvince(province));
+      if (unknown.length > 0) errors.push(`Provincias desconocidas: ${unknown.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fila de saved_searches a partir de los datos validados (solo los campos
+   * recibidos, con las provincias en su nombre canónico)
+   * @param {Object} input
+   * @returns {Object}
+   */
+  toRow(input) {
+    const row = {};
+
+    for (const field of SEARCH_FIELDS.filter(name => name in input)) {
+      const value = input[field];
+
+      if (LIST_FIELDS.includes(field)) {
+        const values = (value || []).map(item => item.trim()).filter(Boolean);
+        row[field] = field === 'provinces' ? values.map(canonicalProvince) : values;
+      } else if (field === 'budget_min' || field === 'budget_max') {
+        row[field] = value === null ? null : Number(value);
+      } else if (field === 'is_active') {
+        row[field] = Boolean(value);
+      } else {
+        row[field] = value.trim();
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Búsquedas guardadas de un usuario
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async listSearches(userId) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Crear una búsqueda guardada
+   * @param {string} userId
+   * @param {Object} input - Datos ya validados
+   * @returns {Promise<Object>}
+   */
+  async createSearch(userId, input) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .insert({ ...this.toRow(input), user_id: userId })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Actualizar una búsqueda guardada del usuario
+   * @param {string} userId
+   * @param {string} searchId
+   * @param {Object} input - Datos ya validados (parciales)
+   * @returns {Promise<Object|null>} - null si no existe
+   */
+  async updateSearch(userId, searchId, input) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .update({ ...this.toRow(input), updated_at: new Date().toISOString() })
+      .eq('id', searchId)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Borrar una búsqueda guardada del usuario (los matches que produjo se
+   * conservan, sin enlazar)
+   * @param {string} userId
+   * @param {string} searchId
+   * @returns {Promise<void>}
+   */
+  async deleteSearch(userId, searchId) {
+    const { error } = await supabase
+      .from('saved_searches')
+      .delete()
+      .eq('id', searchId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Cargar de una vez las búsquedas activas de varios usuarios
+   * @param {Array<string>} userIds
+   * @returns {Promise<Map>} - user_id → [búsquedas]
+   */
+  async getActiveSearchesByUser(userIds) {
+    const byUser = new Map();
+
+    for (let i = 0; i < userIds.length; i += IN_FILTER_CHUNK_SIZE) {
+      const { data, error } = await supabase
+        .from('saved_searches')
+        .select('*')
+        .in('user_id', userIds.slice(i, i + IN_FILTER_CHUNK_SIZE))
+        .eq('is_active', true);
+
+      if (error) throw error;
+
+      for (const search of data || []) {
+        if (!byUser.has(search.user_id)) byUser.set(search.user_id, []);
+        byUser.get(search.user_id).push(search);
+      }
+    }
+
+    return byUser;
+  }
+
+  /**
+   * Evaluar las búsquedas de un usuario contra una licitación. Una palabra
+   * excluida en cualquiera de sus búsquedas veta la licitación para el
+   * usuario, aunque encaje con su perfil o la búsqueda no pueda dar match
+   * @param {Array} searches - Búsquedas activas del usuario
+   * @param {Object} tender - Licitación con sus lotes
+   * @param {Object} options - { canMatch }: qué búsquedas pueden dar match
+   * @returns {Object} - { excluded: { search, keyword } | null, match: { search, evidence } | null }
+   */
+  evaluateSearches(searches, tender, { canMatch = () => true } = {}) {
+    if (!searches || searches.length === 0) return { excluded: null, match: null };
+
+    const text = this.getSearchableText(tender);
+
+    for (const search of searches) {
+      const keyword = (search.exclude_keywords || []).find(word => this.containsWord(text, word));
+      if (keyword) return { excluded: { search, keyword }, match: null };
+    }
+
+    for (const search of searches) {
+      if (!canMatch(search)) continue;
+
+      const evidence = this.evaluateSearch(search, tender, text);
+      if (evidence) return { excluded: null, match: { search, evidence } };
+    }
+
+    return { excluded: null, match: null };
+  }
+
+  /**
+   * Comprobar si una licitación (o alguno de sus lotes) cumple todos los
+   * criterios de una búsqueda. Dentro de cada criterio basta con un valor
+   * (cualquier palabra o frase, cualquier CPV...)
+   * @param {Object} search
+   * @param {Object} tender
+   * @param {string} text - Texto normalizado (getSearchableText)
+   * @returns {Object|null} - Evidencia de lo que casó, o null si no cumple
+   */
+  evaluateSearch(search, tender, text = this.getSearchableText(tender)) {
+    const evidence = {};
+    let criteria = 0;
+    const lots = tender.lots || tender.tender_lots || [];
+
+    const keywords = search.include_keywords || [];
+    const phrases = search.phrases || [];
+
+    if (keywords.length > 0 || phrases.length > 0) {
+      criteria++;
+      const keyword = keywords.find(word => this.containsWord(text, word));
+      const phrase = phrases.find(value => this.containsPhrase(text, value));
+
+      if (!keyword && !phrase) return null;
+      if (keyword) evidence.keyword = keyword;
+      if (phrase) evidence.phrase = phrase;
+    }
+
+    if (search.cpv_prefixes?.length > 0) {
+      criteria++;
+      const cpvCodes = [
+        tender.cpv_code,
+        ...(tender.cpv_codes || []),
+        ...lots.flatMap(lot => lot.cpv_codes || [])
+      ].filter(Boolean);
+
+      const cpvCode = cpvCodes.find(code => search.cpv_prefixes.some(prefix => code.startsWith(prefix)));
+      if (!cpvCode) return null;
+      evidence.cpv_code = cpvCode;
+    }
+
+    if (search.provinces?.length > 0) {
+      criteria++;
+      const province = [tender.province, ...lots.map(lot => lot.province)]
+        .find(value => value && search.provinces.some(wanted => sameProvince(wanted, value)));
+
+      if (!province) return null;
+      evidence.province = province;
+    }
+
+    if (search.budget_min != null || search.budget_max != null) {
+      criteria++;
+      const min = search.budget_min ?? 0;
+      const max = search.budget_max ?? Infinity;
+      const budget = [tender.budget, ...lots.map(lot => lot.budget)]
+        .find(value => value != null && value >= min && value <= max);
+
+      if (budget === undefined) return null;
+      evidence.budget = budget;
+    }
+
+    if (search.contracting_body_ids?.length > 0) {
+      criteria++;
+      if (!search.contracting_body_ids.includes(tender.contracting_body_id)) return null;
+      evidence.contracting_body_id = tender.contracting_body_id;
+    }
+
+    // Una búsqueda sin ningún criterio no encaja con todo
+    return criteria > 0 ? evidence : null;
+  }
+
+  /**
+   * Texto normalizado de la licitación en el que se buscan las palabras:
+   * título, descripción y títulos de los lotes
+   * @param {Object} tender
+   * @returns {string}
+   */
+  getSearchableText(tender) {
+    const lots = tender.lots || tender.tender_lots || [];
+    const parts = [tender.title, tender.description, ...lots.map(lot => lot.title)];
+
+    return ` ${normalizeText(parts.filter(Boolean).join(' '))} `;
+  }
+
+  /**
+   * Palabra al principio de una palabra del texto, sin tildes ni
+   * mayúsculas: "suministro" encuentra "Suministros"
+   * @param {string} text - Texto normalizado (getSearchableText)
+   * @param {string} word
+   * @returns {boolean}
+   */
+  containsWord(text, word) {
+    const normalized = normalizeText(word);
+    return normalized !== '' && text.includes(` ${normalized}`);
+  }
+
+  /**
+   * Frase exacta, por palabras completas y sin tildes ni mayúsculas
+   * @param {string} text - Texto normalizado (getSearchableText)
+   * @param {string} phrase
+   * @returns {boolean}
+   */
+  containsPhrase(text, phrase) {
+    const normalized = normalizeText(phrase);
+    return normalized !== '' && text.includes(` ${normalized} `);
+  }
+}
+
+export const savedSearchService = new SavedSearchService();
+export default savedSearchService;
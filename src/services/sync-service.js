@@ -1,7 +1,36 @@
+import crypto from 'crypto';
 import { supabase, supabaseHelpers } from '../config/supabase.js';
+import { placspConfig } from '../config/placsp.js';
 import { placspAPI } from './placsp-api.js';
 import { matchingService } from './matching-service.js';
+import { contractingBodyService } from './contracting-body-service.js';
+import { tenderHistoryService } from './tender-history-service.js';
 import { logger } from '../utils/logger.js';
+import { getRegion } from '../utils/province-resolver.js';
+import { provincesWithinRadius } from '../utils/geocoder.js';
+
+/**
+ * JSON con las claves ordenadas, para que el mismo contenido dé siempre
+ * el mismo hash
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
 
 class SyncService {
   /**
@@ -15,13 +44,18 @@ class SyncService {
     try {
       logger.info('🚀 Iniciando sincronización de licitaciones...');
 
+      // Los órganos de contratación se vuelven a actualizar en cada sync
+      contractingBodyService.resetCache();
+
       // 1. Crear log de sincronización
       syncLog = await supabaseHelpers.createSyncLog({
         provinces: []
       });
 
-      // 2. Obtener provincias de usuarios activos
-      const userProvinces = await this.getUserProvinces();
+      // 2. Cargar una vez los usuarios activos (para el matching de todos los
+      //    lotes) y obtener sus provincias
+      const matchContext = await matchingService.createMatchContext();
+      const userProvinces = await this.getUserProvinces(matchContext.users);
       
       if (userProvinces.length === 0) {
         logger.warn('⚠️ No hay usuarios con provincias configuradas');
@@ -30,84 +64,65 @@ class SyncService {
           tenders_fetched: 0,
           tenders_new: 0,
           tenders_updated: 0,
+          tenders_unchanged: 0,
           metadata: {
             message: 'No hay provincias de usuarios configuradas'
           }
         });
-        return { success: true, tenders: { fetched: 0, new: 0, updated: 0 }, matches: 0 };
+        return { success: true, tenders: { fetched: 0, new: 0, updated: 0, unchanged: 0 }, matches: 0 };
       }
 
       logger.info(`📍 Provincias de usuarios: ${userProvinces.join(', ')}`);
 
-      // 3. Obtener licitaciones de la API PLACSP
-      const tenders = await placspAPI.getConstructionTendersByProvinces(userProvinces);
-      
-      logger.info(`📦 Obtenidas ${tenders.length} licitaciones de la API`);
+      // 3. Leer el feed PLACSP desde la última sync y procesar por lotes
+      const feedCursor = await supabaseHelpers.getFeedCursor();
+      const totals = { fetched: 0, new: 0, updated: 0, unchanged: 0, cancelled: 0, skipped: 0, matches: 0 };
+      const errors = [];
+      let feed = null;
 
-      // 4. Procesar y guardar licitaciones
-      const { newTenders, updatedTenders, errors } = await this.processTenders(tenders);
+      // Entradas retiradas en esta ejecución (ref → when). El feed va de lo
+      // más reciente a lo más antiguo: las versiones anteriores de una
+      // licitación retirada que aparezcan después no deben resucitarla
+      const tombstones = new Map();
 
-      // 5. Hacer matching con usuarios
-      logger.info('🎯 Iniciando matching con usuarios...');
-      
-      // Hacer matching con todas las licitaciones guardadas (nuevas + actualizadas)
-      const allTendersToMatch = [...newTenders, ...updatedTenders];
-      
-      // Si no hay licitaciones nuevas/actualizadas, buscar las que ya existen
-      if (allTendersToMatch.length === 0 && tenders.length > 0) {
-        logger.info('📋 No hay licitaciones nuevas, buscando licitaciones existentes para matching...');
-        
-        // Obtener las licitaciones guardadas desde la BD
-        const externalIds = tenders.map(t => t.contract_folder_id || t.id);
-        const { data: existingTenders } = await supabase
-          .from('tenders')
-          .select('*')
-          .in('external_id', externalIds)
-          .eq('is_active', true);
-        
-        if (existingTenders && existingTenders.length > 0) {
-          logger.info(`📋 Encontradas ${existingTenders.length} licitaciones existentes para matching`);
-          const matchingResults = await matchingService.matchTendersWithUsers(existingTenders);
-          
-          // Actualizar log con resultados
-          const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-          
-          await supabaseHelpers.updateSyncLog(syncLog.id, {
-            status: 'completed',
-            provinces: userProvinces,
-            tenders_fetched: tenders.length,
-            tenders_new: newTenders.length,
-            tenders_updated: updatedTenders.length,
-            metadata: {
-              duration_seconds: parseFloat(duration),
-              errors_count: errors.length,
-              matches_created: matchingResults.totalMatches,
-              user_provinces: userProvinces,
-              errors: errors.slice(0, 10)
-            }
-          });
+      for await (const batch of placspAPI.streamConstructionTenders(userProvinces, { since: feedCursor })) {
+        feed = batch.feed;
 
-          logger.info(`✅ Sincronización completada en ${duration}s`);
-          logger.info(`   - Nuevas: ${newTenders.length}`);
-          logger.info(`   - Actualizadas: ${updatedTenders.length}`);
-          logger.info(`   - Matches creados: ${matchingResults.totalMatches}`);
-
-          return {
-            success: true,
-            duration: parseFloat(duration),
-            tenders: {
-              fetched: tenders.length,
-              new: newTenders.length,
-              updated: updatedTenders.length
-            },
-            matches: matchingResults.totalMatches,
-            provinces: userProvinces,
-            errors: errors.length
-          };
+        // Licitaciones retiradas (at:deleted-entry)
+        if (batch.deletions.length > 0) {
+          this.addTombstones(tombstones, batch.deletions);
+          const cancellation = await this.cancelDeletedTenders(batch.deletions);
+          totals.cancelled += cancellation.cancelled;
+          errors.push(...cancellation.errors);
         }
+
+        const tenders = batch.tenders.filter(tender => !this.isTombstoned(tender, tombstones));
+        totals.skipped += batch.tenders.length - tenders.length;
+
+        if (tenders.length === 0) continue;
+
+        logger.info(`📦 Lote de ${tenders.length} licitaciones`);
+
+        // 4-5. Guardar el lote y hacer matching con usuarios
+        const result = await this.syncBatch(tenders, matchContext);
+        totals.fetched += tenders.length;
+        totals.new += result.newCount;
+        totals.updated += result.updatedCount;
+        totals.unchanged += result.unchangedCount;
+        totals.matches += result.matches;
+        errors.push(...result.errors);
+      }
+
+      // Avanzar el cursor solo si se ha recorrido el feed hasta el cursor
+      // anterior y se han guardado (o anulado) todas las licitaciones; si no,
+      // la próxima sync vuelve a leer desde el mismo punto y recoge las que faltan
+      const cursorAdvanced = Boolean(feed?.latestUpdated) && (feed?.complete ?? true) && errors.length === 0;
+
+      if (cursorAdvanced) {
+        await supabaseHelpers.saveFeedCursor(feed.latestUpdated);
+      } else if (feed?.latestUpdated) {
+        logger.warn(`⚠️ Cursor del feed sin avanzar (${feed.complete ? `${errors.length} errores` : 'feed incompleto'}), se mantiene ${feedCursor || 'vacío'}`);
       }
-      
-      const matchingResults = await matchingService.matchTendersWithUsers(allTendersToMatch);
 
       // 6. Actualizar log con resultados
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -115,32 +130,45 @@ class SyncService {
       await supabaseHelpers.updateSyncLog(syncLog.id, {
         status: 'completed',
         provinces: userProvinces,
-        tenders_fetched: tenders.length,
-        tenders_new: newTenders.length,
-        tenders_updated: updatedTenders.length,
+        tenders_fetched: totals.fetched,
+        tenders_new: totals.new,
+        tenders_updated: totals.updated,
+        tenders_unchanged: totals.unchanged,
         metadata: {
           duration_seconds: parseFloat(duration),
           errors_count: errors.length,
-          matches_created: matchingResults.totalMatches,
+          matches_created: totals.matches,
+          tenders_cancelled: totals.cancelled,
+          tenders_skipped_deleted: totals.skipped,
           user_provinces: userProvinces,
+          feed_since: feedCursor,
+          feed_entries: feed?.entries || 0,
+          feed_pages: feed?.pages || 0,
+          feed_complete: feed?.complete ?? true,
+          feed_cursor_advanced: cursorAdvanced,
           errors: errors.slice(0, 10) // Solo primeros 10 errores
         }
       });
 
       logger.info(`✅ Sincronización completada en ${duration}s`);
-      logger.info(`   - Nuevas: ${newTenders.length}`);
-      logger.info(`   - Actualizadas: ${updatedTenders.length}`);
-      logger.info(`   - Matches creados: ${matchingResults.totalMatches}`);
+      logger.info(`   - Nuevas: ${totals.new}`);
+      logger.info(`   - Actualizadas: ${totals.updated}`);
+      logger.info(`   - Sin cambios: ${totals.unchanged}`);
+      logger.info(`   - Anuladas: ${totals.cancelled}`);
+      if (totals.skipped > 0) logger.info(`   - Ignoradas (retiradas): ${totals.skipped}`);
+      logger.info(`   - Matches creados: ${totals.matches}`);
 
       return {
         success: true,
         duration: parseFloat(duration),
         tenders: {
-          fetched: tenders.length,
-          new: newTenders.length,
-          updated: updatedTenders.length
+          fetched: totals.fetched,
+          new: totals.new,
+          updated: totals.updated,
+          unchanged: totals.unchanged,
+          cancelled: totals.cancelled
         },
-        matches: matchingResults.totalMatches,
+        matches: totals.matches,
         provinces: userProvinces,
         errors: errors.length
       };
@@ -161,33 +189,196 @@ class SyncService {
   }
 
   /**
-   * Obtener provincias de usuarios activos
-   * @returns {Promise<Array>}
+   * Guardar un lote de licitaciones y hacer matching con usuarios
+   * @param {Array} tenders - Licitaciones transformadas del feed
+   * @param {Object|null} matchContext - Usuarios ya cargados (matchingService.createMatchContext)
+   * @returns {Promise<Object>} - { newCount, updatedCount, unchangedCount, matches, errors }
    */
-  async getUserProvinces() {
+  async syncBatch(tenders, matchContext = null) {
+    // Procesar y guardar licitaciones
+    const { newTenders, updatedTenders, unchangedCount, errors } = await this.processTenders(tenders);
+
+    // Licitaciones que llegan anuladas en el propio feed
+    const cancelledIds = [...newTenders, ...updatedTenders]
+      .filter(t => t.status === 'cancelled' && t.id)
+      .map(t => t.id);
+
+    if (cancelledIds.length > 0) {
+      await this.cancelMatches(cancelledIds);
+    }
+
+    // Hacer matching con todas las licitaciones guardadas (nuevas + actualizadas)
+    let tendersToMatch = [...newTenders, ...updatedTenders];
+
+    // Si no hay licitaciones nuevas/actualizadas, buscar las que ya existen
+    if (tendersToMatch.length === 0 && tenders.length > 0) {
+      logger.info('📋 No hay licitaciones nuevas, buscando licitaciones existentes para matching...');
+
+      const externalIds = tenders.map(t => this.getExternalId(t));
+      const { data: existingTenders } = await supabase
+        .from('tenders')
+        .select('*, tender_lots (*)')
+        .in('external_id', externalIds)
+        .eq('is_active', true);
+
+      tendersToMatch = existingTenders || [];
+      logger.info(`📋 Encontradas ${tendersToMatch.length} licitaciones existentes para matching`);
+    }
+
+    // Solo se hace matching con licitaciones abiertas (no adjudicadas,
+    // cerradas ni anuladas) y con plazo vigente: el backfill guarda también
+    // expedientes históricos en PUB/EV cuyo plazo venció hace meses
+    const openTenders = tendersToMatch.filter(t => this.isOpenForMatching(t));
+
+    if (openTenders.length < tendersToMatch.length) {
+      logger.info(`⏭️ ${tendersToMatch.length - openTenders.length} licitaciones guardadas sin matching (no abiertas o con plazo vencido)`);
+    }
+
+    logger.info('🎯 Iniciando matching con usuarios...');
+    const matchingResults = await matchingService.matchTendersWithUsers(openTenders, matchContext);
+
+    return {
+      newCount: newTenders.length,
+      updatedCount: updatedTenders.length,
+      unchangedCount,
+      matches: matchingResults.totalMatches,
+      errors
+    };
+  }
+
+  /**
+   * Apuntar las entradas retiradas de un lote (si una se retira varias veces,
+   * vale la fecha más reciente)
+   * @param {Map} tombstones - ref → when
+   * @param {Array} deletions - [{ ref, when }]
+   */
+  addTombstones(tombstones, deletions) {
+    for (const { ref, when } of deletions) {
+      if (!ref) continue;
+
+      const previous = tombstones.get(ref);
+      if (previous === undefined || Date.parse(when) > Date.parse(previous)) {
+        tombstones.set(ref, when);
+      }
+    }
+  }
+
+  /**
+   * Comprobar si una licitación del feed es una versión anterior (o igual) a
+   * su retirada. Sin fecha de retirada se descarta cualquier versión
+   * @param {Object} tender
+   * @param {Map} tombstones - ref → when
+   * @returns {boolean}
+   */
+  isTombstoned(tender, tombstones) {
+    const refs = [tender.id, this.getExternalId(tender)].filter(ref => tombstones.has(ref));
+    if (refs.length === 0) return false;
+
+    const updatedTime = Date.parse(tender.updated);
+    return refs.some(ref => {
+      const deletedTime = Date.parse(tombstones.get(ref));
+      return Number.isNaN(deletedTime) || !(updatedTime > deletedTime);
+    });
+  }
+
+  /**
+   * Marcar como anuladas las licitaciones retiradas del feed (at:deleted-entry)
+   * @param {Array} deletions - [{ ref, when }]
+   * @returns {Promise<Object>} - { cancelled, errors }: licitaciones anuladas y
+   *   errores para el array de la sincronización (un fallo no deja avanzar el cursor)
+   */
+  async cancelDeletedTenders(deletions) {
+    const refs = deletions.map(d => d.ref).filter(Boolean);
+    if (refs.length === 0) return { cancelled: 0, errors: [] };
+
     try {
-      // Obtener usuarios activos
-      const { data: activeUsers } = await supabase
-        .from('companies')
-        .select('user_id')
-        .in('subscription_status', ['trial', 'active']);
-
-      if (!activeUsers || activeUsers.length === 0) {
-        logger.warn('⚠️ No hay usuarios activos');
-        return [];
+      const tenderIds = new Set();
+
+      // El `ref` es el id de la entrada ATOM; según cómo se guardó la
+      // licitación puede estar en feed_entry_id o directamente en external_id
+      for (const column of ['feed_entry_id', 'external_id']) {
+        const { data, error } = await supabase
+          .from('tenders')
+          .select('id')
+          .in(column, refs);
+
+        if (error) throw error;
+        data?.forEach(t => tenderIds.add(t.id));
+      }
+
+      if (tenderIds.size === 0) return { cancelled: 0, errors: [] };
+
+      const { data: cancelled, error } = await supabase
+        .from('tenders')
+        .update({
+          status: 'cancelled',
+          cancelled_at: new Date().toISOString()
+        })
+        .in('id', Array.from(tenderIds))
+        .neq('status', 'cancelled')
+        .select('id');
+
+      if (error) throw error;
+
+      // También las que ya estaban anuladas: si sus matches no se pudieron
+      // cancelar, el cursor no avanzó y esta es la repetición
+      await this.cancelMatches(Array.from(tenderIds));
+
+      if (cancelled?.length > 0) {
+        logger.info(`🚫 ${cancelled.length} licitaciones anuladas por at:deleted-entry`);
       }
 
-      const userIds = activeUsers.map(u => u.user_id);
+      return { cancelled: cancelled?.length || 0, errors: [] };
+
+    } catch (error) {
+      logger.error('❌ Error anulando licitaciones retiradas:', error.message);
+
+      return {
+        cancelled: 0,
+        errors: refs.map(ref => ({
+          tender_id: ref,
+          error: `No se pudo anular: ${error.message || 'Error desconocido'}`,
+          error_code: error.code,
+          error_details: error.details
+        }))
+      };
+    }
+  }
+
+  /**
+   * Pasar a "cancelled" los matches abiertos de licitaciones anuladas
+   * @param {Array} tenderIds
+   * @returns {Promise<void>}
+   */
+  async cancelMatches(tenderIds) {
+    const { data, error } = await supabase
+      .from('user_tender_matches')
+      .update({
+        status: 'cancelled',
+        updated_at: new Date().toISOString()
+      })
+      .in('tender_id', tenderIds)
+      .in('status', ['new', 'viewed', 'notified'])
+      .select('id');
 
-      // Obtener perfiles con provincias
-      const { data: profiles } = await supabase
-        .from('user_profiles')
-        .select('preferred_province, locations')
-        .in('user_id', userIds)
-        .eq('onboarding_completed', true);
+    if (error) throw error;
 
-      if (!profiles || profiles.length === 0) {
-        logger.warn('⚠️ No hay perfiles completados');
+    if (data?.length > 0) {
+      logger.info(`🚫 ${data.length} matches pasados a cancelled`);
+    }
+  }
+
+  /**
+   * Obtener provincias de usuarios activos
+   * @param {Array|null} users - Usuarios ya cargados (matchingService.createMatchContext)
+   * @returns {Promise<Array>}
+   */
+  async getUserProvinces(users = null) {
+    try {
+      const profiles = users || (await matchingService.createMatchContext()).users;
+
+      if (profiles.length === 0) {
+        logger.warn('⚠️ No hay usuarios activos con perfil completado');
         return [];
       }
 
@@ -206,6 +397,17 @@ class SyncService {
             if (location) provinces.add(location);
           });
         }
+
+        // Añadir las provincias de sus búsquedas guardadas
+        (profile.saved_searches || []).forEach(search => {
+          (search.provinces || []).forEach(province => provinces.add(province));
+        });
+
+        // Añadir las provincias que alcanza su radio de trabajo
+        const base = matchingService.getUserBase(profile);
+        if (base && profile.max_travel_km) {
+          provincesWithinRadius(base, profile.max_travel_km).forEach(province => provinces.add(province));
+        }
       });
 
       const provincesArray = Array.from(provinces);
@@ -223,72 +425,514 @@ class SyncService {
   }
 
   /**
-   * Procesar y guardar licitaciones en Supabase
+   * Procesar y guardar licitaciones en Supabase, por tramos de
+   * placspConfig.upsertChunkSize: una consulta para buscar las existentes,
+   * un upsert por external_id y las tablas hijas en bloque
    * @param {Array} tenders - Licitaciones a procesar
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object>} - { newTenders, updatedTenders, unchangedCount, errors }
    */
   async processTenders(tenders) {
     const newTenders = [];
     const updatedTenders = [];
     const errors = [];
+    let unchangedCount = 0;
+
+    const uniqueTenders = this.dedupeByExternalId(tenders);
+    const chunkSize = placspConfig.upsertChunkSize;
+
+    for (let i = 0; i < uniqueTenders.length; i += chunkSize) {
+      const result = await this.processTenderChunk(uniqueTenders.slice(i, i + chunkSize));
+
+      newTenders.push(...result.newTenders);
+      updatedTenders.push(...result.updatedTenders);
+      errors.push(...result.errors);
+      unchangedCount += result.unchangedCount;
+    }
+
+    return { newTenders, updatedTenders, unchangedCount, errors };
+  }
+
+  /**
+   * Procesar un tramo de licitaciones
+   * @param {Array} tenders
+   * @returns {Promise<Object>} - { newTenders, updatedTenders, unchangedCount, errors }
+   */
+  async processTenderChunk(tenders) {
+    const errors = [];
+    let unchangedCount = 0;
+    let existingByExternalId;
+
+    try {
+      existingByExternalId = await this.findExistingTenders(tenders.map(t => this.getExternalId(t)));
+    } catch (error) {
+      return {
+        newTenders: [],
+        updatedTenders: [],
+        unchangedCount,
+        errors: tenders.map(tender => this.reportTenderError(tender, error))
+      };
+    }
+
+    const changed = [];
 
     for (const tender of tenders) {
       try {
-        // Buscar si ya existe por external_id
-        const externalId = tender.contract_folder_id || tender.id;
-        
-        const { data: existing } = await supabase
+        const existing = existingByExternalId.get(this.getExternalId(tender)) || null;
+        const contentHash = this.computeContentHash(tender);
+
+        // Misma versión que la guardada: no se escribe nada
+        if (existing && existing.content_hash === contentHash) {
+          unchangedCount++;
+          continue;
+        }
+
+        changed.push({ tender, existing, contentHash });
+
+      } catch (error) {
+        errors.push(this.reportTenderError(tender, error));
+      }
+    }
+
+    const bodyIds = await this.saveContractingBodies(changed.map(({ tender }) => tender));
+    const pending = [];
+
+    for (const { tender, existing, contentHash } of changed) {
+      try {
+        const bodyKey = contractingBodyService.getKey(tender.contracting_party);
+        const tenderData = {
+          ...this.transformTenderData(tender),
+          contracting_body_id: (bodyKey && bodyIds.get(bodyKey)) || null,
+          content_hash: contentHash
+        };
+
+        // Sin content_hash lo guardado no es de fiar (filas de antes del
+        // histórico o que no se guardaron completas): no se compara con la
+        // fila sino con la última versión del histórico, si la hay
+        const baseline = Boolean(existing) && !existing.content_hash;
+
+        // Qué ha cambiado respecto a lo guardado (plazo, presupuesto, documentos...)
+        const changes = existing && !baseline
+          ? tenderHistoryService.diffTender(existing, tenderData, tender.documents)
+          : [];
+
+        pending.push({ tender, existing, tenderData, changes, baseline });
+
+      } catch (error) {
+        errors.push(this.reportTenderError(tender, error));
+      }
+    }
+
+    const saved = await this.upsertTenders(pending, errors);
+    const completed = await this.saveChildTables(saved, errors);
+    const withoutHistory = await this.saveHistory(completed);
+
+    // El hash va con la fila: si faltan las tablas hijas o el histórico se
+    // borra, para que la próxima sync no la dé por "sin cambios" y la repare
+    const completedIds = new Set(completed.map(entry => entry.row.id));
+    await this.clearContentHashes([
+      ...saved.filter(entry => !completedIds.has(entry.row.id)),
+      ...withoutHistory
+    ].map(entry => entry.row.id));
+
+    await this.saveRawTenders(completed.map(entry => entry.tender));
+
+    const newTenders = [];
+    const updatedTenders = [];
+
+    for (const entry of completed) {
+      if (entry.existing) {
+        updatedTenders.push({ ...entry.row, lots: entry.lots });
+        logger.debug(`🔄 Actualizada: ${entry.tender.title}`);
+      } else {
+        newTenders.push({ ...entry.row, lots: entry.lots });
+        logger.debug(`✨ Nueva: ${entry.tender.title}`);
+      }
+    }
+
+    return { newTenders, updatedTenders, unchangedCount, errors };
+  }
+
+  /**
+   * Identificador estable de la licitación (expediente o, si no, id de la entrada)
+   * @param {Object} tender
+   * @returns {string}
+   */
+  getExternalId(tender) {
+    return tender.contract_folder_id || tender.id;
+  }
+
+  /**
+   * Quitar repetidos del mismo expediente dentro de un lote, quedándose con
+   * la entrada más reciente (un upsert no puede tocar dos veces la misma fila)
+   * @param {Array} tenders
+   * @returns {Array}
+   */
+  dedupeByExternalId(tenders) {
+    const byExternalId = new Map();
+
+    for (const tender of tenders) {
+      const externalId = this.getExternalId(tender);
+      const previous = byExternalId.get(externalId);
+
+      if (!previous || (Date.parse(tender.updated) || 0) >= (Date.parse(previous.updated) || 0)) {
+        byExternalId.set(externalId, tender);
+      }
+    }
+
+    return Array.from(byExternalId.values());
+  }
+
+  /**
+   * Buscar de una vez las licitaciones ya guardadas
+   * @param {Array<string>} externalIds
+   * @returns {Promise<Map>} - external_id → fila de tenders (con tender_documents)
+   */
+  async findExistingTenders(externalIds) {
+    if (externalIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+      .from('tenders')
+      .select('*, tender_documents (url)')
+      .in('external_id', externalIds);
+
+    if (error) throw error;
+
+    return new Map((data || []).map(row => [row.external_id, row]));
+  }
+
+  /**
+   * Upsert por external_id de las licitaciones pendientes. Si el bloque
+   * falla, se reintenta fila a fila para saber qué licitación da el error
+   * @param {Array} entries - [{ tender, existing, tenderData, changes }]
+   * @param {Array} errors - Se añaden los errores por licitación
+   * @returns {Promise<Array>} - Las entradas guardadas, con `row`
+   */
+  async upsertTenders(entries, errors) {
+    if (entries.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('tenders')
+      .upsert(entries.map(entry => entry.tenderData), { onConflict: 'external_id' })
+      .select();
+
+    if (!error) {
+      const rowsByExternalId = new Map((data || []).map(row => [row.external_id, row]));
+
+      return entries
+        .map(entry => ({ ...entry, row: rowsByExternalId.get(entry.tenderData.external_id) }))
+        .filter(entry => entry.row);
+    }
+
+    logger.warn(`⚠️ Falló el upsert de ${entries.length} licitaciones (${error.message}), reintentando una a una`);
+
+    const saved = [];
+
+    for (const entry of entries) {
+      try {
+        const { data: row, error: rowError } = await supabase
           .from('tenders')
-          .select('id, updated_at')
-          .eq('external_id', externalId)
+          .upsert(entry.tenderData, { onConflict: 'external_id' })
+          .select()
           .single();
 
-        const tenderData = this.transformTenderData(tender);
-
-        if (existing) {
-          // Actualizar si ha cambiado
-          if (this.shouldUpdate(existing, tender)) {
-            await supabase
-              .from('tenders')
-              .update(tenderData)
-              .eq('id', existing.id);
-            
-            updatedTenders.push(tenderData);
-            logger.debug(`🔄 Actualizada: ${tender.title}`);
-          }
-        } else {
-          // Insertar nueva licitación
-          const { data: inserted, error } = await supabase
-            .from('tenders')
-            .insert(tenderData)
-            .select()
-            .single();
-
-          if (error) throw error;
-
-          newTenders.push(inserted);
-          logger.debug(`✨ Nueva: ${tender.title}`);
-        }
+        if (rowError) throw rowError;
+        saved.push({ ...entry, row });
 
-        // Guardar datos raw
-        await this.saveRawTender(tender, externalId);
+      } catch (rowError) {
+        errors.push(this.reportTenderError(entry.tender, rowError));
+      }
+    }
+
+    return saved;
+  }
+
+  /**
+   * Guardar lotes, documentos y adjudicaciones de las licitaciones guardadas,
+   * en bloque y, si falla, licitación a licitación
+   * @param {Array} entries - Entradas con `row`
+   * @param {Array} errors - Se añaden los errores por licitación
+   * @returns {Promise<Array>} - Las entradas completas, con `lots`
+   */
+  async saveChildTables(entries, errors) {
+    if (entries.length === 0) return [];
+
+    const tenderIds = entries.map(entry => entry.row.id);
+
+    try {
+      const lots = await this.replaceChildRows(
+        'tender_lots',
+        tenderIds,
+        entries.flatMap(entry => this.buildLotRows(entry.row.id, entry.tender.lots)),
+        { select: true }
+      );
+      await this.replaceChildRows(
+        'tender_documents',
+        tenderIds,
+        entries.flatMap(entry => this.buildDocumentRows(entry.row.id, entry.tender.documents))
+      );
+      await this.replaceChildRows(
+        'tender_awards',
+        tenderIds,
+        entries.flatMap(entry => this.buildAwardRows(entry.row.id, entry.tender))
+      );
+
+      return entries.map(entry => ({
+        ...entry,
+        lots: lots.filter(lot => lot.tender_id === entry.row.id)
+      }));
+
+    } catch (error) {
+      logger.warn(`⚠️ Falló el guardado en bloque de lotes/documentos/adjudicaciones (${error.message}), reintentando una a una`);
+    }
+
+    const completed = [];
+
+    for (const entry of entries) {
+      try {
+        const lots = await this.saveTenderLots(entry.row.id, entry.tender.lots);
+        await this.saveTenderDocuments(entry.row.id, entry.tender.documents);
+        await this.saveTenderAwards(entry.row.id, entry.tender);
+
+        completed.push({ ...entry, lots });
 
       } catch (error) {
-        logger.error(`❌ Error procesando licitación ${tender.id}:`);
-        logger.error(`   Error completo:`, JSON.stringify(error, null, 2));
-        logger.error(`   Message: ${error.message}`);
-        logger.error(`   Code: ${error.code}`);
-        logger.error(`   Details: ${error.details}`);
-        errors.push({
-          tender_id: tender.id,
-          error: error.message || 'Error desconocido',
-          error_code: error.code,
-          error_details: error.details
-        });
+        errors.push(this.reportTenderError(entry.tender, error));
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Reemplazar las filas de una tabla hija (tender_lots, tender_documents,
+   * tender_awards) de varias licitaciones
+   * @param {string} table
+   * @param {Array<string>} tenderIds
+   * @param {Array} rows
+   * @param {Object} options - { select } para devolver las filas insertadas
+   * @returns {Promise<Array>}
+   */
+  async replaceChildRows(table, tenderIds, rows, { select = false } = {}) {
+    const { error: deleteError } = await supabase
+      .from(table)
+      .delete()
+      .in('tender_id', tenderIds);
+
+    if (deleteError) throw deleteError;
+
+    if (rows.length === 0) return [];
+
+    const query = supabase.from(table).insert(rows);
+    const { data, error } = select ? await query.select() : await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Guardar el histórico: versión 1 de las nuevas (en bloque), versión base
+   * (o diff con la última versión guardada) de las que no tenían content_hash
+   * y versión con diff y avisos de las modificadas
+   * @param {Array} entries - Entradas completas
+   * @returns {Promise<Array>} - Las entradas cuyo histórico no se pudo guardar
+   */
+  async saveHistory(entries) {
+    const source = tender => ({ documents: tender.documents || [], feedUpdated: tender.updated || null });
+    const failed = [];
+    const newEntries = entries.filter(entry => !entry.existing);
+
+    try {
+      await tenderHistoryService.recordFirstVersions(
+        newEntries.map(entry => ({ tenderId: entry.row.id, tenderData: entry.tenderData, ...source(entry.tender) }))
+      );
+    } catch (error) {
+      logger.warn(`⚠️ No se pudieron guardar las versiones iniciales: ${error.message}`);
+      failed.push(...newEntries);
+    }
+
+    for (const entry of entries) {
+      if (entry.baseline) {
+        const events = await tenderHistoryService.recordBaseline(entry.row.id, entry.tenderData, source(entry.tender));
+        if (events === null) failed.push(entry);
+      } else if (entry.existing && entry.changes.length > 0) {
+        const events = await tenderHistoryService.recordChanges(entry.row.id, entry.changes, entry.tenderData, source(entry.tender));
+        if (events === null) failed.push(entry);
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Borrar el content_hash de licitaciones que no se guardaron completas
+   * @param {Array<string>} tenderIds
+   * @returns {Promise<void>}
+   */
+  async clearContentHashes(tenderIds) {
+    if (tenderIds.length === 0) return;
+
+    const { error } = await supabase
+      .from('tenders')
+      .update({ content_hash: null })
+      .in('id', tenderIds);
+
+    if (error) {
+      logger.error(`❌ No se pudo borrar el content_hash de ${tenderIds.length} licitaciones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registrar en el log el error de una licitación
+   * @param {Object} tender
+   * @param {Error|Object} error - Error de JS o de Supabase
+   * @returns {Object} - Entrada para el array de errores de la sincronización
+   */
+  reportTenderError(tender, error) {
+    logger.error(`❌ Error procesando licitación ${tender.id}:`);
+    logger.error(`   Error completo:`, JSON.stringify(error, null, 2));
+    logger.error(`   Message: ${error.message}`);
+    logger.error(`   Code: ${error.code}`);
+    logger.error(`   Details: ${error.details}`);
+
+    return {
+      tender_id: tender.id,
+      error: error.message || 'Error desconocido',
+      error_code: error.code,
+      error_details: error.details
+    };
+  }
+
+  /**
+   * Guardar los órganos de contratación de un tramo de licitaciones, en
+   * bloque y, si falla, uno a uno. Las licitaciones cuyo órgano no se pudo
+   * guardar se guardan igualmente sin enlazar
+   * @param {Array} tenders
+   * @returns {Promise<Map>} - clave del órgano (contractingBodyService.getKey) → id
+   */
+  async saveContractingBodies(tenders) {
+    try {
+      return await contractingBodyService.saveManyFromFeed(tenders.map(tender => tender.contracting_party));
+    } catch (error) {
+      logger.warn(`⚠️ Falló el guardado en bloque de órganos de contratación (${error.message}), reintentando uno a uno`);
+    }
+
+    const ids = new Map();
+
+    for (const tender of tenders) {
+      const key = contractingBodyService.getKey(tender.contracting_party);
+      if (!key || ids.has(key)) continue;
+
+      try {
+        ids.set(key, await contractingBodyService.saveFromFeed(tender.contracting_party));
+      } catch (error) {
+        logger.warn(`⚠️ No se pudo guardar el órgano de contratación de ${tender.id}: ${error.message}`);
       }
     }
 
-    return { newTenders, updatedTenders, errors };
+    return ids;
+  }
+
+  /**
+   * Guardar los lotes de una licitación (reemplaza los anteriores)
+   * @param {string} tenderId
+   * @param {Array} lots - Lotes extraídos del feed
+   * @returns {Promise<Array>} - Lotes guardados
+   */
+  async saveTenderLots(tenderId, lots = []) {
+    return this.replaceChildRows('tender_lots', [tenderId], this.buildLotRows(tenderId, lots), { select: true });
+  }
+
+  /**
+   * Filas de tender_lots de una licitación
+   * @param {string} tenderId
+   * @param {Array} lots - Lotes extraídos del feed
+   * @returns {Array}
+   */
+  buildLotRows(tenderId, lots = []) {
+    return lots.map(lot => ({
+      tender_id: tenderId,
+      lot_number: lot.lot_number,
+      title: lot.title,
+      budget: lot.budget,
+      budget_total: lot.budget_total ?? null,
+      estimated_value: lot.estimated_value ?? null,
+      budget_currency: lot.budget_currency || null,
+      cpv_codes: lot.cpv_codes,
+      province: lot.province,
+      location: lot.location,
+      municipality: lot.municipality || null,
+      postal_code: lot.postal_code || null,
+      municipality_code: lot.municipality_code || null,
+      latitude: lot.latitude ?? null,
+      longitude: lot.longitude ?? null,
+      geo_precision: lot.geo_precision || null,
+      work_type: this.determineWorkType(lot.cpv_codes)
+    }));
+  }
+
+  /**
+   * Guardar los documentos (pliegos y anexos) de una licitación
+   * (reemplaza los anteriores)
+   * @param {string} tenderId
+   * @param {Array} documents - Documentos extraídos del feed
+   */
+  async saveTenderDocuments(tenderId, documents = []) {
+    await this.replaceChildRows('tender_documents', [tenderId], this.buildDocumentRows(tenderId, documents));
+  }
+
+  /**
+   * Filas de tender_documents de una licitación
+   * @param {string} tenderId
+   * @param {Array} documents - Documentos extraídos del feed
+   * @returns {Array}
+   */
+  buildDocumentRows(tenderId, documents = []) {
+    return documents.map(doc => ({
+      tender_id: tenderId,
+      document_type: doc.document_type,
+      filename: doc.filename,
+      url: doc.url
+    }));
+  }
+
+  /**
+   * Guardar los resultados de adjudicación de una licitación
+   * (reemplaza los anteriores)
+   * @param {string} tenderId
+   * @param {Object} tender - Licitación de PLACSP con awards y lots
+   */
+  async saveTenderAwards(tenderId, tender) {
+    const rows = this.buildAwardRows(tenderId, tender);
+    await this.replaceChildRows('tender_awards', [tenderId], rows);
+
+    if (rows.length > 0) {
+      logger.debug(`🏆 ${rows.length} resultados de adjudicación guardados para ${tender.title}`);
+    }
+  }
+
+  /**
+   * Filas de tender_awards de una licitación, con la baja calculada
+   * @param {string} tenderId
+   * @param {Object} tender - Licitación de PLACSP con awards y lots
+   * @returns {Array}
+   */
+  buildAwardRows(tenderId, tender) {
+    return (tender.awards || []).map(award => {
+      // Baja: sobre el presupuesto del lote adjudicado, o del expediente
+      const lot = (tender.lots || []).find(l => l.lot_number === award.lot_number);
+      const budget = lot?.budget ?? tender.budget;
+      const discount = budget && award.awarded_amount !== null
+        ? Math.round(((budget - award.awarded_amount) / budget) * 10000) / 100
+        : null;
+
+      return {
+        tender_id: tenderId,
+        ...award,
+        budget,
+        discount_pct: discount,
+        province: lot?.province || tender.province || null
+      };
+    });
   }
 
   /**
@@ -298,24 +942,44 @@ class SyncService {
    */
   transformTenderData(tender) {
     return {
-      external_id: tender.contract_folder_id || tender.id,
+      external_id: this.getExternalId(tender),
+      feed_entry_id: tender.id || null,
       source_system: 'placsp',
       title: tender.title || 'Sin título',
       description: tender.description || tender.summary || '',
       contracting_body: tender.contracting_body || 'No especificado',
       province: tender.province || 'Sin especificar',
       region: this.getRegionFromProvince(tender.province),
-      municipality: null,
-      work_type: this.determineWorkType(tender.cpv_code),
+      province_confidence: tender.province_confidence || null,
+      nuts_code: tender.nuts_code || null,
+      municipality: tender.municipality || null,
+      postal_code: tender.postal_code || null,
+      municipality_code: tender.municipality_code || null,
+      latitude: tender.latitude ?? null,
+      longitude: tender.longitude ?? null,
+      geo_precision: tender.geo_precision || null,
+      work_type: this.determineWorkType(tender.cpv_codes || tender.cpv_code),
       budget: tender.budget,
+      budget_total: tender.budget_total ?? null,
+      estimated_value: tender.estimated_value ?? null,
+      budget_currency: tender.budget_currency || null,
+      feed_updated: tender.updated || null,
       publication_date: tender.published || tender.updated || new Date().toISOString().split('T')[0],
       deadline: tender.deadline,
       cpv_code: tender.cpv_code || '45000000',
+      cpv_codes: tender.cpv_codes || [],
       status: this.mapStatus(tender.status),
+      procedure_code: tender.procedure_code || null,
+      procedure_type: tender.procedure_type || null,
+      contract_type_code: tender.contract_type_code || null,
+      contract_type: tender.contract_type || null,
+      urgency_code: tender.urgency_code || null,
+      urgency: tender.urgency || null,
+      is_sara: tender.is_sara ?? null,
       source_url: tender.link || null,
       source_name: 'Plataforma de Contratación del Sector Público',
       requirements: [],
-      contact_email: null,
+      contact_email: tender.contracting_party?.contact_email || null,
       raw_content: JSON.stringify(tender),
       is_active: true,
       fetched_at: new Date().toISOString(),
@@ -324,21 +988,24 @@ class SyncService {
   }
 
   /**
-   * Determinar tipo de obra según CPV
-   * @param {string} cpvCode
+   * Determinar tipo de obra según los CPV (el primero que dé un tipo
+   * concreto manda, empezando por el principal)
+   * @param {Array<string>|string} cpvCodes
    * @returns {string}
    */
-  determineWorkType(cpvCode) {
-    if (!cpvCode) return 'Construcción General';
+  determineWorkType(cpvCodes) {
+    const codes = (Array.isArray(cpvCodes) ? cpvCodes : [cpvCodes])
+      .filter(Boolean)
+      .map(code => code.toString());
     
-    const cpv = cpvCode.toString();
-    
-    if (cpv.startsWith('4521')) return 'Edificación';
-    if (cpv.startsWith('4522')) return 'Ingeniería Civil';
-    if (cpv.startsWith('4511')) return 'Demolición';
-    if (cpv.startsWith('4531')) return 'Instalaciones Eléctricas';
-    if (cpv.startsWith('4532')) return 'Fontanería y Climatización';
-    if (cpv.startsWith('4541')) return 'Rehabilitación';
+    for (const cpv of codes) {
+      if (cpv.startsWith('4521')) return 'Edificación';
+      if (cpv.startsWith('4522')) return 'Ingeniería Civil';
+      if (cpv.startsWith('4511')) return 'Demolición';
+      if (cpv.startsWith('4531')) return 'Instalaciones Eléctricas';
+      if (cpv.startsWith('4532')) return 'Fontanería y Climatización';
+      if (cpv.startsWith('4541')) return 'Rehabilitación';
+    }
     
     return 'Construcción General';
   }
@@ -349,19 +1016,21 @@ class SyncService {
    * @returns {string}
    */
   getRegionFromProvince(province) {
-    const regionMap = {
-      'Madrid': 'Comunidad de Madrid',
-      'Málaga': 'Andalucía',
-      'Sevilla': 'Andalucía',
-      'Barcelona': 'Cataluña',
-      'Valencia': 'Comunidad Valenciana',
-      'Alicante': 'Comunidad Valenciana',
-      'Vizcaya': 'País Vasco',
-      'Guipúzcoa': 'País Vasco',
-      'Álava': 'País Vasco'
-    };
-    
-    return regionMap[province] || null;
+    return getRegion(province);
+  }
+
+  /**
+   * Comprobar si una licitación guardada admite matching: activa y con el
+   * plazo sin vencer (o sin plazo conocido, como en el rematch)
+   * @param {Object} tender - Fila de tenders
+   * @returns {boolean}
+   */
+  isOpenForMatching(tender) {
+    if (tender.status !== 'active') return false;
+    if (!tender.deadline) return true;
+
+    const deadlineTime = Date.parse(tender.deadline);
+    return Number.isNaN(deadlineTime) || deadlineTime > Date.now();
   }
 
   /**
@@ -375,44 +1044,60 @@ class SyncService {
       'ADJ': 'awarded',
       'EV': 'active',
       'RES': 'closed',
-      'AN': 'closed'
+      'AN': 'closed',
+      'ANUL': 'cancelled'
     };
 
     return statusMap[statusCode] || 'active';
   }
 
   /**
-   * Verificar si una licitación debe actualizarse
-   * @param {Object} existing
-   * @param {Object} newData
-   * @returns {boolean}
+   * Huella del contenido de una licitación: hash estable de los datos
+   * normalizados (sin los campos que cambian en cada lectura, como
+   * fetched_at) más el <updated> del feed. Si coincide con la guardada,
+   * la licitación no ha cambiado
+   * @param {Object} tender - Licitación transformada por placspAPI
+   * @returns {string} - SHA-256 en hexadecimal
    */
-  shouldUpdate(existing, newData) {
-    // Actualizar si han pasado más de 24 horas
-    const existingDate = new Date(existing.updated_at);
-    const hoursSinceUpdate = (Date.now() - existingDate.getTime()) / (1000 * 60 * 60);
-    
-    return hoursSinceUpdate > 24;
+  computeContentHash(tender) {
+    const { fetched_at, raw_content, inserted_by, ...data } = this.transformTenderData(tender);
+
+    const content = {
+      ...data,
+      publication_date: tender.published || tender.updated || null,
+      contracting_party: tender.contracting_party || null,
+      lots: tender.lots || [],
+      documents: tender.documents || [],
+      awards: tender.awards || [],
+      feed_updated: tender.updated || null
+    };
+
+    return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
   }
 
   /**
-   * Guardar datos raw de la licitación
-   * @param {Object} tender
-   * @param {string} externalId
+   * Guardar datos raw de las licitaciones
+   * @param {Array} tenders
    */
-  async saveRawTender(tender, externalId) {
+  async saveRawTenders(tenders) {
+    if (tenders.length === 0) return;
+
     try {
-      await supabase
+      const fetchedAt = new Date().toISOString();
+
+      const { error } = await supabase
         .from('tenders_raw')
-        .insert({
+        .insert(tenders.map(tender => ({
           source_system: 'placsp',
-          external_id: externalId,
-          fetched_at: new Date().toISOString(),
+          external_id: this.getExternalId(tender),
+          fetched_at: fetchedAt,
           payload: tender
-        });
+        })));
+
+      if (error) throw error;
     } catch (error) {
       // No fallar si no se puede guardar raw
-      logger.warn(`⚠️ No se pudo guardar tender raw ${externalId}`);
+      logger.warn(`⚠️ No se pudieron guardar ${tenders.length} tenders raw: ${error.message}`);
     }
   }
 
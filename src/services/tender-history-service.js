@@ -0,0 +1,395 @@
+import { supabase } from '../config/supabase.js';
+import { formatMadridDate } from '../utils/dates.js';
+import { logger } from '../utils/logger.js';
+
+// Campos de tenders que se versionan, con su tipo para comparar y describir
+const TRACKED_FIELDS = {
+  title: { label: 'Título', type: 'text' },
+  description: { label: 'Descripción', type: 'text' },
+  budget: { label: 'Presupuesto sin IVA', type: 'amount' },
+  budget_total: { label: 'Presupuesto con IVA', type: 'amount' },
+  estimated_value: { label: 'Valor estimado', type: 'amount' },
+  deadline: { label: 'Plazo', type: 'datetime' },
+  status: { label: 'Estado', type: 'text' },
+  procedure_type: { label: 'Procedimiento', type: 'text' },
+  contract_type: { label: 'Tipo de contrato', type: 'text' },
+  urgency: { label: 'Tramitación', type: 'text' },
+  province: { label: 'Provincia', type: 'text' },
+  municipality: { label: 'Municipio', type: 'text' },
+  contracting_body: { label: 'Órgano de contratación', type: 'text' }
+};
+
+const STATUS_LABELS = {
+  active: 'abierta',
+  awarded: 'adjudicada',
+  closed: 'cerrada',
+  cancelled: 'anulada'
+};
+
+// Estados de match a los que se avisa de las modificaciones
+const OPEN_MATCH_STATUSES = ['new', 'viewed', 'notified'];
+
+class TenderHistoryService {
+  /**
+   * Comparar la licitación guardada con la nueva versión del feed
+   * @param {Object} existing - Fila de tenders (con tender_documents)
+   * @param {Object} tenderData - Nueva fila (transformTenderData)
+   * @param {Array} documents - Documentos extraídos del feed
+   * @returns {Array} - [{ field, old_value, new_value }]
+   */
+  diffTender(existing, tenderData, documents = []) {
+    const changes = [];
+
+    for (const [field, { type }] of Object.entries(TRACKED_FIELDS)) {
+      if (!(field in tenderData)) continue;
+
+      const oldValue = this.normalizeValue(existing[field], type);
+      const newValue = this.normalizeValue(tenderData[field], type);
+
+      // Un campo que antes no teníamos no es una modificación de la licitación
+      if (oldValue !== null && oldValue !== newValue) {
+        changes.push({ field, old_value: existing[field] ?? null, new_value: tenderData[field] ?? null });
+      }
+    }
+
+    // Documentos nuevos (pliegos rectificados, anexos...)
+    const knownUrls = new Set((existing.tender_documents || []).map(doc => doc.url));
+    const addedDocuments = documents.filter(doc => !knownUrls.has(doc.url));
+
+    if (addedDocuments.length > 0 && knownUrls.size > 0) {
+      changes.push({
+        field: 'documents',
+        old_value: null,
+        new_value: addedDocuments.map(doc => doc.filename || doc.url)
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Normalizar un valor para comparar (la BD devuelve numeric y timestamptz
+   * con otro formato que el feed)
+   * @param {*} value
+   * @param {string} type
+   * @returns {string|number|null}
+   */
+  normalizeValue(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (type === 'amount') {
+      const amount = parseFloat(value);
+      return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : null;
+    }
+
+    if (type === 'datetime') {
+      const time = Date.parse(value);
+      return Number.isNaN(time) ? String(value) : time;
+    }
+
+    const text = String(value).trim();
+    return text === 'No especificado' || text === 'Sin especificar' ? null : text;
+  }
+
+  /**
+   * Describir un cambio para el usuario, p.ej. "Plazo ampliado del 12/11 al 20/11"
+   * @param {Object} change - { field, old_value, new_value }
+   * @returns {string}
+   */
+  describeChange({ field, old_value: oldValue, new_value: newValue }) {
+    if (field === 'documents') {
+      return `Nuevos documentos: ${newValue.join(', ')}`;
+    }
+
+    const { label, type } = TRACKED_FIELDS[field] || { label: field, type: 'text' };
+
+    if (type === 'datetime' && oldValue && newValue) {
+      const sameDay = formatMadridDate(oldValue) === formatMadridDate(newValue);
+      const from = formatMadridDate(oldValue, { withTime: sameDay });
+      const to = formatMadridDate(newValue, { withTime: sameDay });
+      const verb = Date.parse(newValue) > Date.parse(oldValue) ? 'ampliado' : 'reducido';
+
+      return `${label} ${verb} del ${from} al ${to}`;
+    }
+
+    if (type === 'amount' && oldValue !== null && newValue !== null) {
+      const format = amount => `${Number(amount).toLocaleString('es-ES')} €`;
+      return `${label} modificado de ${format(oldValue)} a ${format(newValue)}`;
+    }
+
+    if (field === 'title' || field === 'description') {
+      return `${label} modificado`;
+    }
+
+    if (field === 'status') {
+      return `Licitación ${STATUS_LABELS[newValue] || newValue}`;
+    }
+
+    return `${label}: ${oldValue ?? 'sin especificar'} → ${newValue ?? 'sin especificar'}`;
+  }
+
+  /**
+   * Última versión guardada de una licitación
+   * @param {string} tenderId
+   * @returns {Promise<Object|null>} - { id, version, changes, snapshot }
+   */
+  async getLatestVersion(tenderId) {
+    const { data, error } = await supabase
+      .from('tender_versions')
+      .select('id, version, changes, snapshot')
+      .eq('tender_id', tenderId)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Guardar una versión de la licitación
+   * @param {string} tenderId
+   * @param {Array} changes - Cambios respecto a la versión anterior ([] en la primera)
+   * @param {Object} tenderData - Fila guardada
+   * @param {Object} source - { documents, feedUpdated } del feed
+   * @returns {Promise<Object|null>} - Versión guardada
+   */
+  async recordVersion(tenderId, changes, tenderData, { documents = [], feedUpdated = null } = {}) {
+    const last = await this.getLatestVersion(tenderId);
+
+    const { data, error } = await supabase
+      .from('tender_versions')
+      .insert({
+        tender_id: tenderId,
+        version: (last?.version || 0) + 1,
+        changes,
+        snapshot: this.buildSnapshot(tenderData, documents),
+        feed_updated: feedUpdated
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Guardar de una vez la versión 1 de varias licitaciones nuevas
+   * @param {Array} entries - [{ tenderId, tenderData, documents, feedUpdated }]
+   * @returns {Promise<void>}
+   */
+  async recordFirstVersions(entries) {
+    if (entries.length === 0) return;
+
+    const { error } = await supabase
+      .from('tender_versions')
+      .insert(entries.map(({ tenderId, tenderData, documents = [], feedUpdated = null }) => ({
+        tender_id: tenderId,
+        version: 1,
+        changes: [],
+        snapshot: this.buildSnapshot(tenderData, documents),
+        feed_updated: feedUpdated
+      })));
+
+    if (error) throw error;
+  }
+
+  /**
+   * Guardar una versión base de una licitación que ya estaba guardada pero
+   * sin content_hash. Si ya tiene histórico (el hash se borró porque algo
+   * falló a medias), se compara con la última versión guardada para no
+   * perder la modificación ni los avisos que no se llegaron a crear
+   * @param {string} tenderId
+   * @param {Object} tenderData
+   * @param {Object} source - { documents, feedUpdated } del feed
+   * @returns {Promise<number|null>} - Eventos creados (null si no se pudo registrar)
+   */
+  async recordBaseline(tenderId, tenderData, source = {}) {
+    try {
+      const last = await this.getLatestVersion(tenderId);
+
+      if (!last) {
+        const version = await this.recordVersion(tenderId, [], tenderData, source);
+        logger.debug(`📝 Versión base de ${tenderId} (v${version.version})`);
+        return 0;
+      }
+
+      const changes = this.diffTender(this.snapshotAsTender(last.snapshot), tenderData, source.documents);
+      if (changes.length > 0) {
+        return await this.recordChanges(tenderId, changes, tenderData, source);
+      }
+
+      // La última versión se guardó pero sus eventos no
+      if (last.changes.length > 0 && !(await this.hasEvents(last.id))) {
+        return await this.notifyChanges(tenderId, last, last.changes);
+      }
+
+      return 0;
+
+    } catch (error) {
+      // El histórico no debe parar la sincronización
+      logger.warn(`⚠️ No se pudo guardar la versión base de ${tenderId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Foto de una versión con la forma de una fila de tenders, para diffTender
+   * @param {Object} snapshot - Guardado por buildSnapshot
+   * @returns {Object}
+   */
+  snapshotAsTender({ documents = [], ...fields }) {
+    return { ...fields, tender_documents: documents.map(url => ({ url })) };
+  }
+
+  /**
+   * Si una versión tiene ya eventos de "licitación modificada"
+   * @param {string} versionId
+   * @returns {Promise<boolean>}
+   */
+  async hasEvents(versionId) {
+    const { count, error } = await supabase
+      .from('match_events')
+      .select('*', { count: 'exact', head: true })
+      .eq('tender_version_id', versionId);
+
+    if (error) throw error;
+    return count > 0;
+  }
+
+  /**
+   * Foto de los campos versionados de una licitación
+   * @param {Object} tenderData
+   * @param {Array} documents
+   * @returns {Object}
+   */
+  buildSnapshot(tenderData, documents = []) {
+    const snapshot = Object.fromEntries(
+      Object.keys(TRACKED_FIELDS).map(field => [field, tenderData[field] ?? null])
+    );
+    snapshot.documents = documents.map(doc => doc.url);
+
+    return snapshot;
+  }
+
+  /**
+   * Registrar una modificación: nueva versión con su diff y un evento
+   * "licitación modificada" para cada usuario con match abierto
+   * @param {string} tenderId
+   * @param {Array} changes
+   * @param {Object} tenderData
+   * @param {Object} source - { documents, feedUpdated } del feed
+   * @returns {Promise<number|null>} - Eventos creados (null si no se pudo registrar)
+   */
+  async recordChanges(tenderId, changes, tenderData, source = {}) {
+    try {
+      const version = await this.recordVersion(tenderId, changes, tenderData, source);
+      return await this.notifyChanges(tenderId, version, changes);
+
+    } catch (error) {
+      // El histórico no debe parar la sincronización
+      logger.warn(`⚠️ No se pudo registrar la modificación de ${tenderId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Crear el evento "licitación modificada" de una versión para cada
+   * usuario con match abierto
+   * @param {string} tenderId
+   * @param {Object} version - Fila de tender_versions
+   * @param {Array} changes
+   * @returns {Promise<number>} - Eventos creados
+   */
+  async notifyChanges(tenderId, version, changes) {
+    const { data: matches, error: matchesError } = await supabase
+      .from('user_tender_matches')
+      .select('id, user_id')
+      .eq('tender_id', tenderId)
+      .in('status', OPEN_MATCH_STATUSES);
+
+    if (matchesError) throw matchesError;
+
+    const openMatches = matches || [];
+    if (openMatches.length === 0) return 0;
+
+    const message = changes.map(change => this.describeChange(change)).join('. ');
+
+    const { error } = await supabase
+      .from('match_events')
+      .insert(openMatches.map(match => ({
+        match_id: match.id,
+        user_id: match.user_id,
+        tender_id: tenderId,
+        tender_version_id: version.id,
+        event_type: 'tender_modified',
+        message,
+        changes
+      })));
+
+    if (error) throw error;
+
+    logger.info(`📝 Licitación ${tenderId} modificada (v${version.version}): ${message}`);
+    return openMatches.length;
+  }
+
+  /**
+   * Histórico de versiones de una licitación
+   * @param {string} tenderId
+   * @returns {Promise<Array>}
+   */
+  async getTenderVersions(tenderId) {
+    const { data, error } = await supabase
+      .from('tender_versions')
+      .select('*')
+      .eq('tender_id', tenderId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Eventos de un usuario (modificaciones de licitaciones con match)
+   * @param {string} userId
+   * @param {Object} options - { unreadOnly, limit }
+   * @returns {Promise<Array>}
+   */
+  async getUserEvents(userId, { unreadOnly = false, limit = 50 } = {}) {
+    let query = supabase
+      .from('match_events')
+      .select('*, tenders (id, title, deadline, external_id)')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Marcar un evento como leído
+   * @param {string} eventId
+   * @returns {Promise<Object>}
+   */
+  async markEventRead(eventId) {
+    const { data, error } = await supabase
+      .from('match_events')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', eventId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+export const tenderHistoryService = new TenderHistoryService();
+export default tenderHistoryService;
@@ -0,0 +1,104 @@
+import sax from 'sax';
+
+/**
+ * Parsear un feed ATOM en streaming, devolviendo uno a uno los elementos
+ * hijos de <feed> indicados (p.ej. 'entry').
+ *
+ * Cada elemento se construye con la misma forma que xml2js con
+ * { explicitArray: false, mergeAttrs: true, trim: true }, así que el resto
+ * del código puede seguir navegando entries como hasta ahora. Solo se
+ * mantiene en memoria el elemento que se está leyendo.
+ *
+ * @param {AsyncIterable<Buffer|string>} source - Stream HTTP, de fichero o de ZIP
+ * @param {Object} options
+ * @param {Array<string>} options.elements - Nombres de los hijos de <feed> a devolver
+ * @returns {AsyncGenerator<Object>} - { name, node }
+ */
+export async function* streamAtomElements(source, { elements = ['entry'] } = {}) {
+  const wanted = new Set(elements);
+  const parser = sax.parser(true, { trim: false, normalize: false });
+  const decoder = new TextDecoder('utf-8');
+  const ready = [];
+
+  let depth = 0;
+  let stack = null;
+
+  parser.onopentag = ({ name, attributes }) => {
+    depth++;
+
+    if (stack) {
+      stack.push({ name, obj: { ...attributes }, text: '' });
+    } else if (depth === 2 && wanted.has(name)) {
+      stack = [{ name, obj: { ...attributes }, text: '' }];
+    }
+  };
+
+  parser.ontext = text => {
+    if (stack) stack[stack.length - 1].text += text;
+  };
+
+  parser.oncdata = parser.ontext;
+
+  parser.onclosetag = () => {
+    depth--;
+    if (!stack) return;
+
+    const element = stack.pop();
+    const value = buildValue(element);
+
+    if (stack.length === 0) {
+      ready.push({ name: element.name, node: value });
+      stack = null;
+    } else {
+      attachChild(stack[stack.length - 1].obj, element.name, value);
+    }
+  };
+
+  for await (const chunk of source) {
+    parser.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+
+    while (ready.length > 0) {
+      yield ready.shift();
+    }
+  }
+
+  parser.write(decoder.decode());
+  parser.close();
+
+  while (ready.length > 0) {
+    yield ready.shift();
+  }
+}
+
+/**
+ * Valor final de un elemento: texto si no tiene atributos ni hijos,
+ * objeto (con el texto en `_`) en caso contrario
+ * @param {Object} element
+ * @returns {Object|string}
+ */
+function buildValue({ obj, text }) {
+  const trimmed = text.trim();
+
+  if (Object.keys(obj).length === 0) return trimmed;
+
+  if (trimmed) obj._ = trimmed;
+  return obj;
+}
+
+/**
+ * Añadir un hijo al objeto padre (los repetidos se convierten en array)
+ * @param {Object} parent
+ * @param {string} name
+ * @param {Object|string} value
+ */
+function attachChild(parent, name, value) {
+  if (!(name in parent)) {
+    parent[name] = value;
+  } else if (Array.isArray(parent[name])) {
+    parent[name].push(value);
+  } else {
+    parent[name] = [parent[name], value];
+  }
+}
+
+export default streamAtomElements;
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import { normalizeText } from './province-resolver.js';
+
+/**
+ * Árbol CPV de la división 45 (trabajos de construcción) con las etiquetas
+ * en español de src/data/cpv-45.json (se regenera con npm run build:cpv
+ * desde el XML oficial del CPV 2008). La jerarquía sale del propio código:
+ * división (45000000), grupo (45200000), clase (45210000), categoría
+ * (45211000) y subcategorías (45211100...). Un código que no está en el
+ * fichero se cuelga de su antepasado más cercano que sí está.
+ */
+
+const dataset = JSON.parse(
+  fs.readFileSync(new URL('../data/cpv-45.json', import.meta.url), 'utf-8')
+);
+
+const nodes = new Map();
+
+for (const [code, label] of dataset.codes) {
+  nodes.set(code, { code, label, prefix: significantPrefix(code), children: [] });
+}
+
+for (const node of nodes.values()) {
+  const parent = findAncestor(node.prefix.slice(0, -1));
+  node.parent = parent?.code || null;
+  if (parent) parent.children.push(node.code);
+}
+
+// Sectores antiguos del perfil (user_profiles.sectors) → nodos CPV
+export const SECTOR_CPV_NODES = {
+  'Edificación residencial': ['45211000'],
+  'Obra civil': ['45220000', '45230000'],
+  'Rehabilitación y reformas': ['45262700', '45450000', '45453000'],
+  'Instalaciones': ['45300000']
+};
+
+/**
+ * Dígitos significativos de un código: sin los ceros finales, pero
+ * siempre con los dos de la división ("45210000" → "4521")
+ * @param {string} code - 8 dígitos
+ * @returns {string}
+ */
+function significantPrefix(code) {
+  const trimmed = code.replace(/0+$/, '');
+  return trimmed.length >= 2 ? trimmed : code.slice(0, 2);
+}
+
+/**
+ * Nodo incluido más cercano cuyo prefijo es el dado o uno más corto
+ * @param {string} prefix
+ * @returns {Object|null}
+ */
+function findAncestor(prefix) {
+  for (let length = prefix.length; length >= 2; length--) {
+    const node = nodes.get(prefix.slice(0, length).padEnd(8, '0'));
+    if (node) return node;
+  }
+  return null;
+}
+
+/**
+ * Normalizar un código CPV: "45233140-2" o "4523314" → "45233140"
+ * @param {string} code
+ * @returns {string|null}
+ */
+export function normalizeCpvCode(code) {
+  const digits = code?.toString().trim().match(/^\d{2,8}/)?.[0];
+  return digits ? digits.padEnd(8, '0') : null;
+}
+
+/**
+ * Nodo del árbol para un código: el propio código si está incluido o, si
+ * no, su antepasado incluido más cercano (null fuera de la división 45)
+ * @param {string} code
+ * @returns {Object|null} - { code, label, level (1 división, 2 grupo, 3 clase, 4 categoría, 5+ subcategoría), parent }
+ */
+export function getCpvNode(code) {
+  const normalized = normalizeCpvCode(code);
+  if (!normalized) return null;
+
+  const node = nodes.get(normalized) || findAncestor(significantPrefix(normalized));
+  if (!node) return null;
+
+  return { code: node.code, label: node.label, level: node.prefix.length - 1, parent: node.parent };
+}
+
+/**
+ * Comprobar si un código es un nodo del árbol (para validar lo que elige
+ * el usuario)
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isCpvNode(code) {
+  return nodes.has(normalizeCpvCode(code));
+}
+
+/**
+ * Etiqueta en español de un código (la de su nodo)
+ * @param {string} code
+ * @returns {string|null}
+ */
+export function getCpvLabel(code) {
+  return getCpvNode(code)?.label || null;
+}
+
+/**
+ * Camino desde la división hasta el nodo del código
+ * @param {string} code
+ * @returns {Array<string>} - ['45000000', '45200000', ...]
+ */
+export function getCpvPath(code) {
+  const path = [];
+  let current = getCpvNode(code)?.code || null;
+
+  while (current) {
+    path.unshift(current);
+    current = nodes.get(current).parent;
+  }
+
+  return path;
+}
+
+/**
+ * Comprobar si un código cae dentro del subárbol de un nodo
+ * @param {string} code
+ * @param {string} ancestor
+ * @returns {boolean}
+ */
+export function isCpvDescendant(code, ancestor) {
+  const target = getCpvNode(ancestor)?.code;
+  return Boolean(target) && getCpvPath(code).includes(target);
+}
+
+/**
+ * Distancia en el árbol entre dos códigos: saltos hasta su antepasado
+ * común y de ahí al otro. 0 es el mismo nodo; null si alguno no es de la
+ * división 45
+ * @param {string} a
+ * @param {string} b
+ * @returns {number|null}
+ */
+export function cpvTreeDistance(a, b) {
+  const pathA = getCpvPath(a);
+  const pathB = getCpvPath(b);
+  if (pathA.length === 0 || pathB.length === 0) return null;
+
+  let common = 0;
+  while (common < pathA.length && common < pathB.length && pathA[common] === pathB[common]) {
+    common++;
+  }
+
+  return pathA.length + pathB.length - 2 * common;
+}
+
+/**
+ * Árbol anidado para que el usuario elija nodos en el onboarding
+ * @param {string} root - Código del que colgar (por defecto la división)
+ * @returns {Object|null} - { code, label, level, children: [...] }
+ */
+export function buildCpvTree(root = '45000000') {
+  const node = nodes.get(normalizeCpvCode(root));
+  if (!node) return null;
+
+  return {
+    code: node.code,
+    label: node.label,
+    level: node.prefix.length - 1,
+    children: node.children.map(child => buildCpvTree(child))
+  };
+}
+
+/**
+ * Buscar nodos por código o texto de la etiqueta, sin tildes ni mayúsculas
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Array} - [{ code, label, level, parent }]
+ */
+export function searchCpvNodes(query, limit = 20) {
+  const term = normalizeText(query || '');
+  if (!term) return [];
+
+  const results = [];
+
+  for (const node of nodes.values()) {
+    if (node.code.startsWith(term) || normalizeText(node.label).includes(term)) {
+      results.push(getCpvNode(node.code));
+      if (results.length >= limit) break;
+    }
+  }
+
+  return results;
+}
+
+export default getCpvNode;
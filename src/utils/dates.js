@@ -0,0 +1,83 @@
+/**
+ * Fechas de PLACSP: los plazos se publican como fecha y hora locales de
+ * la Península (Europe/Madrid), sin zona horaria.
+ */
+
+export const PLACSP_TIME_ZONE = 'Europe/Madrid';
+
+/**
+ * Desfase en minutos de una zona horaria respecto a UTC en un instante dado
+ * (+60 en invierno y +120 en verano para Europe/Madrid)
+ * @param {number} timestamp - Milisegundos UTC
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  const asUTC = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return Math.round((asUTC - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convertir una fecha y hora locales de Madrid a timestamp ISO (UTC).
+ * Sin hora, el plazo acaba al final del día
+ * @param {string} date - AAAA-MM-DD
+ * @param {string|null} time - HH:MM[:SS], opcionalmente con zona (Z, +01:00)
+ * @returns {string|null}
+ */
+export function madridDateTimeToISO(date, time = null) {
+  const dateMatch = date?.toString().trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!dateMatch) return null;
+
+  const timeValue = time?.toString().trim() || '23:59:59';
+
+  // Si la hora ya trae zona horaria, se respeta
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(timeValue)) {
+    const parsed = new Date(`${dateMatch[0]}T${timeValue}`);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+  }
+
+  const timeMatch = timeValue.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!timeMatch) return null;
+
+  const [year, month, day] = dateMatch.slice(1).map(Number);
+  const [hour, minute, second] = timeMatch.slice(1).map(value => Number(value || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Se corrige dos veces por si el cambio de hora cae entre medias
+  let timestamp = wallClock - getTimeZoneOffset(wallClock, PLACSP_TIME_ZONE) * 60000;
+  timestamp = wallClock - getTimeZoneOffset(timestamp, PLACSP_TIME_ZONE) * 60000;
+
+  return new Date(timestamp).toISOString();
+}
+
+/**
+ * Formatear un instante en hora de Madrid: "12/11" o, con hora, "12/11 14:00"
+ * @param {string|Date} value
+ * @param {Object} options
+ * @param {boolean} options.withTime
+ * @returns {string|null}
+ */
+export function formatMadridDate(value, { withTime = false } = {}) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return null;
+
+  const options = { timeZone: PLACSP_TIME_ZONE, day: '2-digit', month: '2-digit' };
+  if (withTime) Object.assign(options, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+  return new Intl.DateTimeFormat('es-ES', options).format(date).replace(',', '');
+}
+
+export default madridDateTimeToISO;
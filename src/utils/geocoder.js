@@ -0,0 +1,185 @@
+import fs from 'fs';
+import { findProvince, normalizeText } from './province-resolver.js';
+import { logger } from './logger.js';
+
+/**
+ * Geocodificación offline con el dataset incluido en
+ * src/data/municipalities.json (generado con scripts/build-municipalities.js
+ * a partir del registro de municipios del INE y los códigos postales de
+ * GeoNames). Las búsquedas van por código: el código postal da su centroide y
+ * el nombre del municipio, su código INE de 5 dígitos. Si no hay ninguno, se
+ * usa el centroide de la provincia, deducida del código postal (sus dos
+ * primeros dígitos son el código INE de provincia).
+ */
+
+const dataset = JSON.parse(
+  fs.readFileSync(new URL('../data/municipalities.json', import.meta.url), 'utf-8')
+);
+
+/**
+ * Filas del dataset como objetos según su lista de campos
+ * @param {Array<string>} fields
+ * @param {Array<Array>} rows
+ * @returns {Array<Object>}
+ */
+function readRows(fields = [], rows = []) {
+  return rows.map(row => Object.fromEntries(fields.map((field, index) => [field, row[index]])));
+}
+
+// Municipios con su código INE (las versiones del dataset anteriores al
+// registro del INE solo traen la provincia)
+const municipalities = readRows(dataset.fields, dataset.municipalities).map(row => ({
+  code: row.ine || null,
+  name: row.name,
+  province: row.ine ? row.ine.slice(0, 2) : row.province_ine,
+  lat: row.lat,
+  lon: row.lon
+}));
+
+const byName = new Map();
+
+for (const municipality of municipalities) {
+  if (municipality.lat == null || municipality.lon == null) continue;
+
+  for (const key of nameVariants(municipality.name)) {
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(municipality);
+  }
+}
+
+const byPostalCode = new Map(
+  readRows(dataset.postal_code_fields, dataset.postal_codes).map(row => [row.postal_code, row])
+);
+
+// Un dataset sin códigos postales (el antiguo de GeoNames) solo geocodifica
+// por nombre y nunca da geo_precision 'postal_code' ni municipality_code
+if (byPostalCode.size === 0 || !municipalities.some(municipality => municipality.code)) {
+  logger.warn('⚠️ src/data/municipalities.json no trae códigos postales ni códigos INE: ' +
+    'regenerarlo con npm run build:municipalities');
+}
+
+/**
+ * Comprobar si el dataset permite geocodificar por código postal
+ * @returns {boolean}
+ */
+export function hasPostalCodes() {
+  return byPostalCode.size > 0;
+}
+
+/**
+ * Variantes normalizadas de un nombre de municipio: "Donostia / San
+ * Sebastián" → ["donostia san sebastian", "donostia", "san sebastian"], y
+ * "Rozas de Madrid, Las" → "las rozas de madrid"
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function nameVariants(name) {
+  const variants = new Set();
+  const article = name.match(/^(.*),\s*(el|la|los|las|l'|o|a|os|as|es|sa|ses)$/i);
+  const base = article ? `${article[2]} ${article[1]}` : name;
+
+  variants.add(normalizeText(base));
+  base.split(/\s*[/-]\s*/).forEach(part => variants.add(normalizeText(part)));
+
+  // "Madrid (Madrid)" o "Alcalá de Henares (Madrid)"
+  const withoutParenthesis = base.replace(/\s*\(.*\)\s*$/, '');
+  if (withoutParenthesis !== base) variants.add(normalizeText(withoutParenthesis));
+
+  variants.delete('');
+  return [...variants];
+}
+
+/**
+ * Provincia (registro de src/config/provinces.js) a partir de un código postal
+ * @param {string} postalCode
+ * @returns {Object|null}
+ */
+export function provinceFromPostalCode(postalCode) {
+  const match = postalCode?.toString().trim().match(/^(\d{2})\d{3}$/);
+  return match ? findProvince(match[1]) : null;
+}
+
+/**
+ * Obtener coordenadas de una localidad: centroide del código postal, del
+ * municipio o de la provincia, por ese orden
+ * @param {Object} location
+ * @param {string|null} location.municipality - cbc:CityName
+ * @param {string|null} location.postalCode - cbc:PostalZone
+ * @param {string|null} location.province - Provincia ya resuelta
+ * @returns {Object} - { latitude, longitude, geo_precision ('postal_code'|'municipality'|'province'|null), municipality_code }
+ */
+export function geocode({ municipality = null, postalCode = null, province = null } = {}) {
+  const postal = byPostalCode.get(postalCode?.toString().trim());
+
+  if (postal) {
+    return { latitude: postal.lat, longitude: postal.lon, geo_precision: 'postal_code', municipality_code: postal.ine };
+  }
+
+  const provinceRecord = provinceFromPostalCode(postalCode) || findProvince(province);
+
+  if (municipality) {
+    const candidates = nameVariants(municipality).flatMap(key => byName.get(key) || []);
+    const inProvince = provinceRecord
+      ? candidates.filter(candidate => candidate.province === provinceRecord.ine)
+      : candidates;
+
+    // Sin provincia solo nos fiamos de nombres que no se repiten en otras provincias
+    const unique = new Set(inProvince.map(candidate => candidate.province));
+    const found = provinceRecord || unique.size === 1 ? inProvince[0] : null;
+
+    if (found) {
+      return { latitude: found.lat, longitude: found.lon, geo_precision: 'municipality', municipality_code: found.code };
+    }
+  }
+
+  const centroid = provinceRecord ? dataset.provinces[provinceRecord.ine] : null;
+
+  if (centroid) {
+    return { latitude: centroid[0], longitude: centroid[1], geo_precision: 'province', municipality_code: null };
+  }
+
+  return { latitude: null, longitude: null, geo_precision: null, municipality_code: null };
+}
+
+/**
+ * Distancia en km entre dos puntos (fórmula del haversine)
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number|null}
+ */
+export function distanceKm(a, b) {
+  if (a?.latitude == null || a?.longitude == null || b?.latitude == null || b?.longitude == null) {
+    return null;
+  }
+
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Provincias con alguna localidad dentro del radio (para saber qué
+ * licitaciones del feed pueden interesar a un usuario con radio de trabajo)
+ * @param {Object} point - { latitude, longitude }
+ * @param {number} radiusKm
+ * @returns {Array<string>} - Nombres canónicos
+ */
+export function provincesWithinRadius(point, radiusKm) {
+  const ines = new Set();
+
+  for (const { province, lat, lon } of municipalities) {
+    if (ines.has(province)) continue;
+
+    const distance = distanceKm(point, { latitude: lat, longitude: lon });
+    if (distance !== null && distance <= radiusKm) ines.add(province);
+  }
+
+  return [...ines].map(ine => findProvince(ine)?.name).filter(Boolean);
+}
+
+export default geocode;
@@ -0,0 +1,193 @@
+import { provinces, provinceTextNoise } from '../config/provinces.js';
+
+/**
+ * Resolución de provincias: códigos NUTS / INE, nombres oficiales,
+ * cooficiales y alternativos, y búsqueda por palabras completas en texto libre.
+ */
+
+const byNuts = new Map();
+const byIne = new Map();
+const byName = new Map();
+const textTerms = [];
+
+for (const province of provinces) {
+  province.nuts.forEach(code => byNuts.set(code, province));
+  byIne.set(province.ine, province);
+
+  for (const name of [province.name, ...province.aliases]) {
+    byName.set(normalizeText(name), province);
+  }
+
+  for (const term of [province.name, ...province.aliases, ...province.cities]) {
+    textTerms.push({ term: normalizeText(term), province });
+  }
+}
+
+// Los términos más largos primero: "santa cruz de tenerife" antes que "tenerife"
+textTerms.sort((a, b) => b.term.length - a.term.length);
+
+/**
+ * Normalizar un texto para comparar: minúsculas, sin tildes y con cualquier
+ * signo de puntuación convertido en espacio
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  if (!text) return '';
+
+  return text
+    .toString()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Buscar una provincia por código (NUTS3 o INE) o por nombre exacto
+ * (oficial, cooficial o alternativo). Admite formatos "Alicante/Alacant"
+ * @param {string} value
+ * @returns {Object|null} - Registro de src/config/provinces.js
+ */
+export function findProvince(value) {
+  if (!value) return null;
+
+  const raw = value.toString().trim();
+  const code = raw.toUpperCase().replace(/\s+/g, '');
+
+  if (byNuts.has(code)) return byNuts.get(code);
+  if (/^\d{1,2}$/.test(code)) return byIne.get(code.padStart(2, '0')) || null;
+
+  const normalized = normalizeText(raw);
+  if (byName.has(normalized)) return byName.get(normalized);
+
+  for (const part of raw.split(/\s*[/(),]\s*|\s+-\s+/)) {
+    const province = byName.get(normalizeText(part));
+    if (province) return province;
+  }
+
+  return null;
+}
+
+/**
+ * Nombre canónico de una provincia
+ * @param {string} value - Código o nombre en cualquiera de sus variantes
+ * @returns {string|null}
+ */
+export function canonicalProvince(value) {
+  return findProvince(value)?.name || null;
+}
+
+/**
+ * Comunidad autónoma de una provincia
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function getRegion(value) {
+  return findProvince(value)?.region || null;
+}
+
+/**
+ * Comprobar si dos valores se refieren a la misma provincia
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function sameProvince(a, b) {
+  const provinceA = findProvince(a);
+  return Boolean(provinceA) && provinceA === findProvince(b);
+}
+
+/**
+ * Resolver un código NUTS de cualquier nivel. Un NUTS2 de comunidad
+ * uniprovincial (ES30) identifica la provincia; uno pluriprovincial (ES61)
+ * solo la comunidad
+ * @param {string} code
+ * @returns {Object|null} - { province, region }
+ */
+function resolveNuts(code) {
+  const normalized = code?.toString().toUpperCase().replace(/\s+/g, '');
+  if (!normalized || !/^ES\d{1,3}$/.test(normalized)) return null;
+
+  if (byNuts.has(normalized)) {
+    const province = byNuts.get(normalized);
+    return { province, region: province.region };
+  }
+
+  const candidates = provinces.filter(p => p.nuts.some(nuts => nuts.startsWith(normalized)));
+  const regions = new Set(candidates.map(p => p.region));
+
+  if (candidates.length === 1) return { province: candidates[0], region: candidates[0].region };
+  if (regions.size === 1) return { province: null, region: [...regions][0] };
+
+  return null;
+}
+
+/**
+ * Buscar la primera provincia mencionada en un texto libre (por palabras
+ * completas, así que "León" no casa con "Leónidas")
+ * @param {string} text
+ * @returns {Object|null} - Registro de provincia
+ */
+export function findProvinceInText(text) {
+  let normalized = ` ${normalizeText(text)} `;
+  if (normalized.trim() === '') return null;
+
+  for (const noise of provinceTextNoise) {
+    normalized = normalized.split(` ${noise} `).join('  ');
+  }
+
+  let best = null;
+
+  for (const { term, province } of textTerms) {
+    const position = normalized.indexOf(` ${term} `);
+    if (position === -1) continue;
+
+    if (!best || position < best.position) {
+      best = { position, province };
+    }
+  }
+
+  return best?.province || null;
+}
+
+/**
+ * Resolver la provincia de una licitación a partir de lo que se tenga,
+ * de más a menos fiable:
+ *   1. Código NUTS (o INE) estructurado      → confidence 'high'
+ *   2. Nombre estructurado (CountrySubentity) → confidence 'medium'
+ *   3. Textos libres, en el orden recibido    → confidence 'low'
+ * @param {Object} input
+ * @param {string|null} input.code - cbc:CountrySubentityCode
+ * @param {string|null} input.name - cbc:CountrySubentity
+ * @param {Array<string>} input.texts - Título, resumen, organismo...
+ * @returns {Object} - { province, region, nuts_code, confidence, source }
+ */
+export function resolveProvince({ code = null, name = null, texts = [] } = {}) {
+  const nuts = resolveNuts(code);
+  const result = (province, confidence, source) => ({
+    province: province?.name || null,
+    region: province?.region || nuts?.region || null,
+    nuts_code: nuts ? code.toString().toUpperCase().replace(/\s+/g, '') : null,
+    confidence,
+    source
+  });
+
+  if (nuts?.province) return result(nuts.province, 'high', 'nuts');
+
+  const byCode = !nuts && code ? findProvince(code) : null;
+  if (byCode) return result(byCode, 'high', 'code');
+
+  const byStructuredName = findProvince(name);
+  if (byStructuredName) return result(byStructuredName, 'medium', 'name');
+
+  for (const text of [name, ...texts]) {
+    const province = findProvinceInText(text);
+    if (province) return result(province, 'low', 'text');
+  }
+
+  return result(null, null, null);
+}
+
+export default resolveProvince;
@@ -0,0 +1,6 @@
+-- Cursor de sincronización incremental del feed ATOM de PLACSP
+create table if not exists public.sync_state (
+  source text primary key,
+  last_entry_updated timestamptz,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,6 @@
+-- Licitaciones retiradas del feed (at:deleted-entry) o anuladas (ANUL)
+alter table public.tenders
+  add column if not exists feed_entry_id text,
+  add column if not exists cancelled_at timestamptz;
+
+create index if not exists tenders_feed_entry_id_idx on public.tenders (feed_entry_id);
@@ -0,0 +1,18 @@
+-- Lotes de las licitaciones (cac:ProcurementProjectLot)
+create table if not exists public.tender_lots (
+  id uuid primary key default gen_random_uuid(),
+  tender_id uuid not null references public.tenders (id) on delete cascade,
+  lot_number text not null,
+  title text,
+  budget numeric,
+  cpv_codes text[] not null default '{}',
+  province text,
+  location text,
+  work_type text,
+  created_at timestamptz not null default now(),
+  unique (tender_id, lot_number)
+);
+
+-- Lote con el que se hizo el match (null = licitación completa)
+alter table public.user_tender_matches
+  add column if not exists lot_number text;
@@ -0,0 +1,5 @@
+-- Todos los CPV de la licitación (principal, adicionales y de los lotes)
+alter table public.tenders
+  add column if not exists cpv_codes text[] not null default '{}';
+
+create index if not exists tenders_cpv_codes_idx on public.tenders using gin (cpv_codes);
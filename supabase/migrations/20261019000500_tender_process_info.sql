@@ -0,0 +1,16 @@
+-- Procedimiento, tipo de contrato, tramitación y SARA
+alter table public.tenders
+  add column if not exists procedure_code text,
+  add column if not exists procedure_type text,
+  add column if not exists contract_type_code text,
+  add column if not exists contract_type text,
+  add column if not exists urgency_code text,
+  add column if not exists urgency text,
+  add column if not exists is_sara boolean;
+
+-- Preferencias de tramitación del usuario (null = sin preferencia)
+alter table public.user_profiles
+  add column if not exists procedure_codes text[],
+  add column if not exists contract_type_codes text[],
+  add column if not exists accepts_urgent boolean not null default true,
+  add column if not exists accepts_sara boolean not null default true;
@@ -0,0 +1,11 @@
+-- Documentos de la licitación: pliegos (PCAP, PPT) y anexos
+create table if not exists public.tender_documents (
+  id uuid primary key default gen_random_uuid(),
+  tender_id uuid not null references public.tenders (id) on delete cascade,
+  document_type text not null check (document_type in ('pcap', 'ppt', 'anexo')),
+  filename text,
+  url text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists tender_documents_tender_id_idx on public.tender_documents (tender_id);
@@ -0,0 +1,25 @@
+-- Resultados de adjudicación (cac:TenderResult)
+create table if not exists public.tender_awards (
+  id uuid primary key default gen_random_uuid(),
+  tender_id uuid not null references public.tenders (id) on delete cascade,
+  lot_number text,
+  result_code text,
+  result_description text,
+  award_date date,
+  offers_received integer,
+  winner_name text,
+  winner_nif text,
+  awarded_amount numeric,
+  awarded_amount_total numeric,
+  lowest_offer numeric,
+  highest_offer numeric,
+  currency text,
+  budget numeric,
+  discount_pct numeric,
+  province text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists tender_awards_tender_id_idx on public.tender_awards (tender_id);
+create index if not exists tender_awards_winner_nif_idx on public.tender_awards (winner_nif);
+create index if not exists tender_awards_province_idx on public.tender_awards (province, award_date);
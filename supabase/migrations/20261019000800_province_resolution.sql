@@ -0,0 +1,5 @@
+-- Resolución de provincia: código NUTS del lugar de ejecución y fiabilidad
+-- ('high' = código estructurado, 'medium' = nombre estructurado, 'low' = texto libre)
+alter table public.tenders
+  add column if not exists nuts_code text,
+  add column if not exists province_confidence text;
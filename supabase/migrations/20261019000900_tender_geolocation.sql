@@ -0,0 +1,14 @@
+-- Municipio, código postal y coordenadas del lugar de ejecución
+-- (geo_precision: 'municipality' = centroide del municipio, 'province' = de la provincia)
+alter table public.tenders
+  add column if not exists postal_code text,
+  add column if not exists latitude double precision,
+  add column if not exists longitude double precision,
+  add column if not exists geo_precision text;
+
+alter table public.tender_lots
+  add column if not exists municipality text,
+  add column if not exists postal_code text,
+  add column if not exists latitude double precision,
+  add column if not exists longitude double precision,
+  add column if not exists geo_precision text;
@@ -0,0 +1,7 @@
+-- Base de operaciones y radio de trabajo del usuario (null = matching por provincia)
+alter table public.user_profiles
+  add column if not exists base_municipality text,
+  add column if not exists base_postal_code text,
+  add column if not exists base_latitude double precision,
+  add column if not exists base_longitude double precision,
+  add column if not exists max_travel_km integer;
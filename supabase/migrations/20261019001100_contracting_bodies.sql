@@ -0,0 +1,45 @@
+-- Órganos de contratación (cac-place-ext:LocatedContractingParty), sin duplicados:
+-- se identifican por DIR3 y, si no lo tienen, por NIF
+create table if not exists public.contracting_bodies (
+  id uuid primary key default gen_random_uuid(),
+  nif text,
+  dir3 text,
+  platform_id text,
+  name text not null,
+  party_type_code text,
+  buyer_profile_url text,
+  website text,
+  address text,
+  city text,
+  postal_code text,
+  country_code text,
+  contact_name text,
+  contact_email text,
+  contact_phone text,
+  contact_fax text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (nif is not null or dir3 is not null)
+);
+
+create unique index if not exists contracting_bodies_dir3_key
+  on public.contracting_bodies (dir3)
+  where dir3 is not null;
+
+create unique index if not exists contracting_bodies_nif_key
+  on public.contracting_bodies (nif)
+  where dir3 is null;
+
+alter table public.tenders
+  add column if not exists contracting_body_id uuid references public.contracting_bodies (id) on delete set null;
+
+create index if not exists tenders_contracting_body_id_idx
+  on public.tenders (contracting_body_id);
+
+-- Órganos de contratación que sigue cada usuario
+create table if not exists public.user_followed_bodies (
+  user_id uuid not null,
+  contracting_body_id uuid not null references public.contracting_bodies (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, contracting_body_id)
+);
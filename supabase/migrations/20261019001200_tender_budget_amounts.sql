@@ -0,0 +1,11 @@
+-- Importes de cac:BudgetAmount: budget = sin impuestos (TaxExclusiveAmount),
+-- budget_total = con impuestos (TotalAmount), estimated_value = valor estimado
+alter table public.tenders
+  add column if not exists budget_total numeric,
+  add column if not exists estimated_value numeric,
+  add column if not exists budget_currency text;
+
+alter table public.tender_lots
+  add column if not exists budget_total numeric,
+  add column if not exists estimated_value numeric,
+  add column if not exists budget_currency text;
@@ -0,0 +1,6 @@
+-- El plazo de presentación pasa a ser un instante exacto (EndDate + EndTime en
+-- hora de Madrid). Los plazos antiguos solo tenían fecha: se les pone el final
+-- del día en Madrid, como hace la sync cuando el feed no trae EndTime
+alter table public.tenders
+  alter column deadline type timestamptz
+  using (deadline::date + time '23:59:59') at time zone 'Europe/Madrid';
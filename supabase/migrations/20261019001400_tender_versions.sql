@@ -0,0 +1,28 @@
+-- Histórico de versiones de cada licitación con el diff campo a campo
+create table if not exists public.tender_versions (
+  id uuid primary key default gen_random_uuid(),
+  tender_id uuid not null references public.tenders (id) on delete cascade,
+  version integer not null,
+  changes jsonb not null default '[]',
+  snapshot jsonb not null,
+  feed_updated timestamptz,
+  created_at timestamptz not null default now(),
+  unique (tender_id, version)
+);
+
+-- Eventos para los usuarios con match (p.ej. "Plazo ampliado del 12/11 al 20/11")
+create table if not exists public.match_events (
+  id uuid primary key default gen_random_uuid(),
+  match_id uuid not null references public.user_tender_matches (id) on delete cascade,
+  user_id uuid not null,
+  tender_id uuid not null references public.tenders (id) on delete cascade,
+  tender_version_id uuid references public.tender_versions (id) on delete set null,
+  event_type text not null,
+  message text not null,
+  changes jsonb not null default '[]',
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists match_events_user_id_created_at_idx
+  on public.match_events (user_id, created_at desc);
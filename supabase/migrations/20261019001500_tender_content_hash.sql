@@ -0,0 +1,9 @@
+-- Detección de cambios por contenido: huella de la licitación normalizada y
+-- <updated> del feed. Las filas existentes se reescriben en la primera
+-- sincronización (content_hash nulo) y a partir de ahí solo si cambian
+alter table public.tenders
+  add column if not exists content_hash text,
+  add column if not exists feed_updated timestamptz;
+
+alter table public.sync_logs
+  add column if not exists tenders_unchanged integer default 0;
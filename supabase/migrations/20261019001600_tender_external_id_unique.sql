@@ -0,0 +1,38 @@
+-- La sincronización guarda las licitaciones con upsert por external_id
+-- (on conflict), que necesita un índice único sobre la columna. La búsqueda
+-- con .single() seguida de insert de antes podía duplicar expedientes: se
+-- conserva la fila más reciente de cada external_id, se le pasan los
+-- matches y eventos de las demás y se borran (lotes, documentos,
+-- adjudicaciones y versiones se van en cascada; la sync los vuelve a escribir)
+create temporary table tender_duplicates as
+select id as duplicate_id, keeper_id
+from (
+  select id,
+    first_value(id) over (
+      partition by external_id
+      order by fetched_at desc nulls last, id desc
+    ) as keeper_id
+  from public.tenders
+  where external_id is not null
+) ranked
+where id <> keeper_id;
+
+update public.user_tender_matches m
+set tender_id = d.keeper_id
+from tender_duplicates d
+where m.tender_id = d.duplicate_id;
+
+update public.match_events e
+set tender_id = d.keeper_id,
+  tender_version_id = null
+from tender_duplicates d
+where e.tender_id = d.duplicate_id;
+
+delete from public.tenders t
+using tender_duplicates d
+where t.id = d.duplicate_id;
+
+drop table tender_duplicates;
+
+create unique index if not exists tenders_external_id_key
+  on public.tenders (external_id);
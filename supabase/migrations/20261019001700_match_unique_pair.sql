@@ -0,0 +1,11 @@
+-- Un único match por usuario y licitación: el rematch y la sincronización
+-- insertan con on conflict do nothing sobre este índice. Antes de crearlo se
+-- eliminan los duplicados que hubiera, conservando el más antiguo
+delete from public.user_tender_matches m
+using public.user_tender_matches older
+where m.user_id = older.user_id
+  and m.tender_id = older.tender_id
+  and (m.created_at, m.id) > (older.created_at, older.id);
+
+create unique index if not exists user_tender_matches_user_tender_key
+  on public.user_tender_matches (user_id, tender_id);
@@ -0,0 +1,10 @@
+-- Pesos del score y score mínimo por usuario (null = los de su plan o los
+-- de por defecto, ver src/config/scoring.js), y versión de la configuración
+-- con la que se calculó cada match
+alter table public.user_profiles
+  add column if not exists scoring_weights jsonb,
+  add column if not exists min_match_score integer
+    check (min_match_score between 0 and 100);
+
+alter table public.user_tender_matches
+  add column if not exists scoring_config_version text;
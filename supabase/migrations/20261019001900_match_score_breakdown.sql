@@ -0,0 +1,4 @@
+-- Desglose del score de cada match: [{ factor, points, max, evidence }],
+-- con la evidencia de cada factor (distancia, palabra o CPV que casó...)
+alter table public.user_tender_matches
+  add column if not exists score_breakdown jsonb not null default '[]'::jsonb;
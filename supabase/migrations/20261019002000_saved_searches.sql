@@ -0,0 +1,28 @@
+-- Búsquedas guardadas de los usuarios. Dentro de cada criterio basta con un
+-- valor y entre criterios se exigen todos; las palabras excluidas vetan la
+-- licitación para el usuario aunque encaje con su perfil
+create table if not exists public.saved_searches (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  name text not null,
+  include_keywords text[] not null default '{}',
+  exclude_keywords text[] not null default '{}',
+  phrases text[] not null default '{}',
+  cpv_prefixes text[] not null default '{}',
+  provinces text[] not null default '{}',
+  budget_min numeric,
+  budget_max numeric,
+  contracting_body_ids uuid[] not null default '{}',
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists saved_searches_user_id_idx
+  on public.saved_searches (user_id)
+  where is_active;
+
+-- Búsqueda guardada que produjo cada match (null = por el perfil)
+alter table public.user_tender_matches
+  add column if not exists saved_search_id uuid
+    references public.saved_searches (id) on delete set null;
@@ -0,0 +1,4 @@
+-- Nodos del árbol CPV (división 45) que el usuario elige en el onboarding.
+-- Si está vacío, el sector se deduce de user_profiles.sectors
+alter table public.user_profiles
+  add column if not exists cpv_codes text[] not null default '{}';
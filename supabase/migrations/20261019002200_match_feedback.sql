@@ -0,0 +1,35 @@
+-- Valoración del usuario sobre cada match (la última cuenta): interesante,
+-- no relevante (con motivo) u oferta presentada
+create table if not exists public.match_feedback (
+  id uuid primary key default gen_random_uuid(),
+  match_id uuid not null unique references public.user_tender_matches (id) on delete cascade,
+  user_id uuid not null,
+  tender_id uuid not null references public.tenders (id) on delete cascade,
+  feedback text not null
+    check (feedback in ('interesting', 'not_relevant', 'bid_submitted')),
+  reason text
+    check (reason in ('sector', 'contracting_body', 'location', 'budget', 'deadline', 'other')),
+  comment text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (feedback <> 'not_relevant' or reason is not null)
+);
+
+create index if not exists match_feedback_user_id_updated_at_idx
+  on public.match_feedback (user_id, updated_at desc);
+
+-- Última valoración en el propio match, para filtrar el feed
+alter table public.user_tender_matches
+  add column if not exists feedback text;
+
+-- Modelo de relevancia de cada usuario, recalculado con cada valoración:
+-- pesos de términos del título y la descripción, y afinidades por nodo CPV
+-- y por órgano de contratación (entre -1 y 1)
+create table if not exists public.user_relevance_models (
+  user_id uuid primary key,
+  term_weights jsonb not null default '{}',
+  cpv_affinities jsonb not null default '{}',
+  body_affinities jsonb not null default '{}',
+  feedback_count integer not null default 0,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,11 @@
+-- Código INE del municipio (5 dígitos) del lugar de ejecución, deducido del
+-- código postal o del nombre con el registro de municipios del INE.
+-- geo_precision admite ahora 'postal_code' (centroide del código postal)
+alter table public.tenders
+  add column if not exists municipality_code text;
+
+alter table public.tender_lots
+  add column if not exists municipality_code text;
+
+create index if not exists idx_tenders_municipality_code
+  on public.tenders (municipality_code);
@@ -0,0 +1,29 @@
+-- Las provincias se guardan con su nombre oficial del INE en lugar del
+-- exónimo castellano (los nombres antiguos siguen resolviéndose como alias)
+with renames (old_name, new_name) as (
+  values
+    ('La Coruña', 'A Coruña'),
+    ('Gerona', 'Girona'),
+    ('Guipúzcoa', 'Gipuzkoa'),
+    ('Lérida', 'Lleida'),
+    ('Orense', 'Ourense'),
+    ('Vizcaya', 'Bizkaia')
+)
+update public.tenders t
+set province = r.new_name
+from renames r
+where t.province = r.old_name;
+
+with renames (old_name, new_name) as (
+  values
+    ('La Coruña', 'A Coruña'),
+    ('Gerona', 'Girona'),
+    ('Guipúzcoa', 'Gipuzkoa'),
+    ('Lérida', 'Lleida'),
+    ('Orense', 'Ourense'),
+    ('Vizcaya', 'Bizkaia')
+)
+update public.tender_lots l
+set province = r.new_name
+from renames r
+where l.province = r.old_name;
@@ -0,0 +1,13 @@
+-- Un número de versión por licitación. La tabla ya se crea con unique
+-- (tender_id, version), pero las bases de datos en las que tender_versions
+-- existía antes de esa migración pueden no tenerlo: se quitan los duplicados
+-- (se queda la primera fila guardada) y se crea el índice con el mismo nombre
+-- que el de la restricción, así que no se duplica donde ya está
+delete from public.tender_versions duplicate
+using public.tender_versions kept
+where duplicate.tender_id = kept.tender_id
+  and duplicate.version = kept.version
+  and (duplicate.created_at, duplicate.id) > (kept.created_at, kept.id);
+
+create unique index if not exists tender_versions_tender_id_version_key
+  on public.tender_versions (tender_id, version);